@@ -0,0 +1,114 @@
+// Distinct active users per UTC day, kept in state.activity as
+// { 'YYYY-MM-DD': { userId: 1 } } and fed by connects and tracked events.
+const DAY = 24 * 60 * 60 * 1000;
+
+const PERIODS = {
+  day: DAY,
+  week: 7 * DAY
+};
+
+const dayKey = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+// UTC midnight of the day, or of the Monday for weeks
+const periodStart = (timestamp, period) => {
+  const day = Math.floor(timestamp / DAY) * DAY;
+  if (period === 'day') return day;
+  const weekday = (new Date(day).getUTCDay() + 6) % 7;
+  return day - weekday * DAY;
+};
+
+const recordActivity = (db, userId, timestamp = Date.now()) => {
+  const key = dayKey(timestamp);
+  const users = db.activity[key] || (db.activity[key] = {});
+  users[userId] = 1;
+};
+
+const pruneActivity = (db, retention, now = Date.now()) => {
+  const cutoff = dayKey(now - retention);
+  let removed = 0;
+  Object.keys(db.activity).forEach((key) => {
+    if (key < cutoff) {
+      delete db.activity[key];
+      removed++;
+    }
+  });
+  return removed;
+};
+
+// Distinct users active in the `days` days ending with the day of `timestamp`
+const countActiveUsers = (db, timestamp, days) => {
+  const users = new Set();
+  for (let i = 0; i < days; i++) {
+    Object.keys(db.activity[dayKey(timestamp - i * DAY)] || {}).forEach(userId => users.add(userId));
+  }
+  return users.size;
+};
+
+// DAU/WAU/MAU and stickiness (DAU / MAU, %) for one day
+const engagementOn = (db, timestamp) => {
+  const dau = countActiveUsers(db, timestamp, 1);
+  const mau = countActiveUsers(db, timestamp, 30);
+  return {
+    date: dayKey(timestamp),
+    dau,
+    wau: countActiveUsers(db, timestamp, 7),
+    mau,
+    stickiness: mau ? (dau / mau) * 100 : 0
+  };
+};
+
+// Today's figures plus one entry per day, oldest first
+const engagement = (db, { days = 30, now = Date.now() } = {}) => {
+  const history = [];
+  for (let i = days - 1; i >= 0; i--) {
+    history.push(engagementOn(db, now - i * DAY));
+  }
+  const { dau, wau, mau, stickiness } = history[history.length - 1];
+  return { dau, wau, mau, stickiness, history };
+};
+
+// Users grouped by the period they were first seen in, with how many of
+// them were active in each following period (offset 0 = the cohort period)
+const buildCohorts = (db, { period = 'week', periods = 8, now = Date.now() }) => {
+  const length = PERIODS[period];
+  const current = periodStart(now, period);
+  const earliest = current - (periods - 1) * length;
+
+  const cohortOf = {};
+  const cohorts = {};
+  for (let start = earliest; start <= current; start += length) {
+    cohorts[start] = { size: 0, active: [] };
+  }
+
+  Object.values(db.users).forEach((user) => {
+    const start = periodStart(user.firstSeen, period);
+    if (!cohorts[start]) return;
+    cohortOf[user.id] = start;
+    cohorts[start].size += 1;
+  });
+
+  Object.entries(db.activity).forEach(([key, users]) => {
+    const start = periodStart(Date.parse(key), period);
+    if (start < earliest) return;
+
+    Object.keys(users).forEach((userId) => {
+      const cohort = cohortOf[userId];
+      if (cohort === undefined || start < cohort) return;
+      const offset = (start - cohort) / length;
+      const seen = cohorts[cohort].active[offset] || (cohorts[cohort].active[offset] = new Set());
+      seen.add(userId);
+    });
+  });
+
+  return Object.entries(cohorts).map(([start, { size, active }]) => {
+    const offsets = (current - Number(start)) / length + 1;
+    const retention = [];
+    for (let offset = 0; offset < offsets; offset++) {
+      const count = active[offset] ? active[offset].size : 0;
+      retention.push({ offset, active: count, rate: size ? (count / size) * 100 : 0 });
+    }
+    return { cohort: dayKey(Number(start)), size, retention };
+  });
+};
+
+module.exports = { PERIODS, dayKey, recordActivity, pruneActivity, engagementOn, engagement, buildCohorts };
@@ -0,0 +1,223 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { getOwn } = require('./objects');
+
+// healthStatus values of /api/connection-health
+const HEALTH_STATUSES = ['healthy', 'degraded', 'critical'];
+
+// Parameter kinds; each returns what is wrong with a value, or null.
+// Error rate windows are summed from minute buckets, so they can't be longer
+// than those are kept.
+const PARAM_KINDS = {
+  number: value => (Number.isFinite(value) && value >= 0 ? null : 'must be a number of 0 or more'),
+  minutes: value => (Number.isFinite(value) && value > 0 ? null : 'must be a positive number of minutes'),
+  window: (value, { maxWindowMinutes }) => {
+    if (!Number.isFinite(value) || value <= 0) return 'must be a positive number of minutes';
+    return value <= maxWindowMinutes ? null : `must be at most ${maxWindowMinutes} minutes`;
+  },
+  status: value => (HEALTH_STATUSES.includes(value) ? null : `must be one of ${HEALTH_STATUSES.join(', ')}`)
+};
+
+// Rule types. Each evaluator returns the currently firing subjects as
+// [{ subject, message, value }]; an empty array means the rule is clear.
+// ctx: { now, health, instances, errorRate(minutes) }
+const RULE_TYPES = {
+  // Connected instances whose last heartbeat is older than `minutes`
+  heartbeat_stale: {
+    params: { minutes: 'minutes' },
+    evaluate: (params, ctx) => ctx.instances
+      .filter(i => i.status === 'connected' &&
+        ctx.now - (i.lastHeartbeat || 0) > params.minutes * 60 * 1000)
+      .map(i => ({
+        subject: i.id,
+        value: Math.round((ctx.now - (i.lastHeartbeat || 0)) / 60000),
+        message: `Instance ${i.id} has not sent a heartbeat for ${Math.round((ctx.now - (i.lastHeartbeat || 0)) / 60000)} minutes`
+      }))
+  },
+
+  active_instances_below: {
+    params: { threshold: 'number' },
+    evaluate: (params, ctx) => (ctx.health.activeCount < params.threshold
+      ? [{
+        subject: 'fleet',
+        value: ctx.health.activeCount,
+        message: `Only ${ctx.health.activeCount} active instances (threshold ${params.threshold})`
+      }]
+      : [])
+  },
+
+  // errors / (messages + connections) over the last `windowMinutes`
+  error_rate_above: {
+    params: { threshold: 'number', windowMinutes: 'window' },
+    evaluate: (params, ctx) => {
+      const rate = ctx.errorRate(params.windowMinutes);
+      return rate > params.threshold
+        ? [{
+          subject: 'fleet',
+          value: Math.round(rate * 100) / 100,
+          message: `Error rate ${rate.toFixed(1)}% over the last ${params.windowMinutes} minutes (threshold ${params.threshold}%)`
+        }]
+        : [];
+    }
+  },
+
+  // healthStatus as reported by /api/connection-health
+  health_status: {
+    params: { status: 'status' },
+    evaluate: (params, ctx) => (ctx.health.healthStatus === params.status
+      ? [{
+        subject: 'fleet',
+        value: ctx.health.healthStatus,
+        message: `Connection health is ${ctx.health.healthStatus}`
+      }]
+      : [])
+  }
+};
+
+// Returns a list of problems with a rule definition (empty when valid)
+const validateRule = ({ type, params = {}, webhooks = [] }, { maxWindowMinutes = Infinity } = {}) => {
+  const definition = getOwn(RULE_TYPES, type);
+  if (!definition) return [`type must be one of ${Object.keys(RULE_TYPES).join(', ')}`];
+
+  const problems = [];
+  Object.entries(definition.params).forEach(([name, kind]) => {
+    const problem = PARAM_KINDS[kind](params[name], { maxWindowMinutes });
+    if (problem) problems.push(`params.${name} ${problem}`);
+  });
+  if (!Array.isArray(webhooks) || !webhooks.every(url => /^https?:\/\//.test(url))) {
+    problems.push('webhooks must be a list of http(s) URLs');
+  }
+  return problems;
+};
+
+const createRule = ({ name, type, params, webhooks = [], enabled = true }) => ({
+  id: `rule_${crypto.randomBytes(6).toString('hex')}`,
+  name: name || type,
+  type,
+  params,
+  webhooks,
+  enabled,
+  createdAt: Date.now()
+});
+
+// POST the alert to a webhook, retrying with backoff
+const deliverWebhook = async (url, payload, { attempts = 3, timeout = 5000 } = {}) => {
+  let lastError;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await axios.post(url, payload, { timeout });
+      return;
+    } catch (e) {
+      lastError = e;
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+  throw lastError;
+};
+
+// Evaluates rules against the state, keeps firing/resolved alerts in
+// state.alerts and notifies webhooks once per transition.
+// `scopes(state)` returns [scopeId, data] pairs that each have their own
+// alertRules and alerts (e.g. one per project); alerts carry the scope id.
+const createAlertManager = ({
+  store,
+  buildContext,
+  scopes = state => [[null, state]],
+  defaultWebhooks = [],
+  historyLimit = 500,
+  onError = () => {}
+}) => {
+  let evaluating = false;
+
+  const notify = (event, alert, rule) => {
+    const urls = [...new Set([...defaultWebhooks, ...(rule.webhooks || [])])];
+    const payload = { event, alert, rule: { id: rule.id, name: rule.name, type: rule.type, params: rule.params } };
+
+    urls.forEach((url) => {
+      deliverWebhook(url, payload).catch(e => onError(new Error(`Webhook ${url} failed for ${alert.key}: ${e.message}`)));
+    });
+  };
+
+  // Evaluate one scope's rules; returns its transitions
+  const evaluateScope = (scope, db, now) => {
+    const ctx = buildContext(db, now);
+    const changes = [];
+    const stillFiring = new Set();
+
+    Object.values(db.alertRules).filter(rule => rule.enabled).forEach((rule) => {
+      RULE_TYPES[rule.type].evaluate(rule.params, ctx).forEach(({ subject, message, value }) => {
+        const key = `${rule.id}:${subject}`;
+        stillFiring.add(key);
+
+        const existing = db.alerts.active[key];
+        if (existing) {
+          // Already firing: refresh, but don't notify again
+          existing.lastEvaluatedAt = now;
+          existing.message = message;
+          existing.value = value;
+          return;
+        }
+
+        const alert = {
+          key,
+          ...(scope ? { projectId: scope } : {}),
+          ruleId: rule.id,
+          ruleName: rule.name,
+          type: rule.type,
+          subject,
+          message,
+          value,
+          status: 'firing',
+          startedAt: now,
+          lastEvaluatedAt: now,
+          resolvedAt: null
+        };
+        db.alerts.active[key] = alert;
+        changes.push({ event: 'alert.firing', alert: { ...alert }, rule });
+      });
+    });
+
+    // Anything active that no longer fires (or whose rule is gone) resolves
+    Object.values(db.alerts.active).forEach((alert) => {
+      if (stillFiring.has(alert.key)) return;
+
+      delete db.alerts.active[alert.key];
+      const resolved = { ...alert, status: 'resolved', resolvedAt: now };
+      db.alerts.history.unshift(resolved);
+      const rule = db.alertRules[alert.ruleId];
+      if (rule) changes.push({ event: 'alert.resolved', alert: resolved, rule });
+    });
+    db.alerts.history.splice(historyLimit);
+
+    return changes;
+  };
+
+  const evaluate = async () => {
+    // Skip if the previous run is still going
+    if (evaluating) return null;
+    evaluating = true;
+
+    try {
+      const transitions = await store.update((state) => {
+        const now = Date.now();
+        const changes = [];
+        scopes(state).forEach(([scope, db]) => changes.push(...evaluateScope(scope, db, now)));
+        return changes;
+      });
+
+      transitions.forEach(({ event, alert, rule }) => notify(event, alert, rule));
+      return transitions;
+    } catch (e) {
+      onError(e);
+      return null;
+    } finally {
+      evaluating = false;
+    }
+  };
+
+  return { evaluate };
+};
+
+module.exports = { RULE_TYPES, validateRule, createRule, createAlertManager };
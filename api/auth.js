@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getOwn } = require('./objects');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'viewer'];
+const SESSION_COOKIE = 'marx_session';
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Passwords are stored as "scrypt$<salt>$<hash>"
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const parseCookies = (header = '') => header.split(';').reduce((cookies, part) => {
+  const index = part.indexOf('=');
+  if (index > 0) {
+    cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+  }
+  return cookies;
+}, {});
+
+const publicAccount = ({ passwordHash, ...account }) => account;
+
+// Admin/viewer accounts and login sessions, both kept in the state store
+// (state.accounts keyed by username, state.authSessions keyed by token hash).
+const createAuth = ({ store, sessionTtl, adminToken = '' }) => {
+  const readToken = (req) => {
+    const auth = req.get('authorization') || '';
+    const match = auth.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    return parseCookies(req.get('cookie'))[SESSION_COOKIE] || null;
+  };
+
+  const isAdminToken = (token) => {
+    if (!adminToken || !token) return false;
+    const expected = Buffer.from(adminToken);
+    const given = Buffer.from(token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  // Resolve the caller to { username, role, projects } or null;
+  // `projects` limits the account to those projects when set
+  const resolveAccount = (req) => {
+    const token = req.get('x-admin-token') || readToken(req);
+    if (!token) return null;
+    if (isAdminToken(token)) return { username: 'admin-token', role: 'admin', projects: null };
+
+    const db = store.get();
+    const session = db.authSessions[sha256(token)];
+    if (!session || session.expiresAt < Date.now()) return null;
+
+    const account = db.accounts[session.username];
+    return account && !account.disabled
+      ? { username: account.username, role: account.role, projects: account.projects || null }
+      : null;
+  };
+
+  // Middleware: 401 without a valid session, 403 when the role is not allowed
+  const requireRole = (...roles) => (req, res, next) => {
+    const account = resolveAccount(req);
+    if (!account) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (roles.length && !roles.includes(account.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    req.account = account;
+    next();
+  };
+
+  const login = async (username, password) => {
+    const account = getOwn(store.get().accounts, username);
+    // Hash anyway for unknown users so timing does not reveal which names exist
+    const valid = await verifyPassword(password, account ? account.passwordHash : 'scrypt$00$00');
+    if (!account || account.disabled || !valid) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+    const expiresAt = now + sessionTtl;
+
+    await store.update((db) => {
+      // Drop expired sessions while we are here
+      Object.entries(db.authSessions).forEach(([hash, session]) => {
+        if (session.expiresAt < now) delete db.authSessions[hash];
+      });
+      db.authSessions[sha256(token)] = { username, createdAt: now, expiresAt };
+      db.accounts[username].lastLoginAt = now;
+    });
+
+    return { token, expiresAt, account: publicAccount(store.get().accounts[username]) };
+  };
+
+  const logout = async (req) => {
+    const token = readToken(req);
+    if (!token) return;
+    await store.update((db) => {
+      delete db.authSessions[sha256(token)];
+    });
+  };
+
+  const createAccount = async ({ username, password, role, projects = null }) => {
+    const passwordHash = await hashPassword(password);
+    return store.update((db) => {
+      if (getOwn(db.accounts, username)) return null;
+      db.accounts[username] = {
+        username,
+        role,
+        projects,
+        passwordHash,
+        createdAt: Date.now(),
+        lastLoginAt: null,
+        disabled: false
+      };
+      return publicAccount(db.accounts[username]);
+    });
+  };
+
+  const deleteAccount = (username) => store.update((db) => {
+    if (!getOwn(db.accounts, username)) return false;
+    delete db.accounts[username];
+    Object.entries(db.authSessions).forEach(([hash, session]) => {
+      if (session.username === username) delete db.authSessions[hash];
+    });
+    return true;
+  });
+
+  const setSessionCookie = (req, res, token, expiresAt) => {
+    const parts = [
+      `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      `Expires=${new Date(expiresAt).toUTCString()}`
+    ];
+    if (req.secure) parts.push('Secure');
+    res.setHeader('Set-Cookie', parts.join('; '));
+  };
+
+  const clearSessionCookie = (res) => {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Expires=Thu, 01 Jan 1970 00:00:00 GMT`);
+  };
+
+  return {
+    resolveAccount,
+    requireRole,
+    login,
+    logout,
+    createAccount,
+    deleteAccount,
+    setSessionCookie,
+    clearSessionCookie
+  };
+};
+
+module.exports = { ROLES, createAuth, publicAccount };
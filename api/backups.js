@@ -0,0 +1,161 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// JSON snapshots of the state in one directory, named
+// db_<timestamp>_<reason>.json (older ones are db_<date>.json).
+// Only the newest `retention` files of each automatic reason are kept;
+// manual and pre-restore snapshots stay until removed by hand.
+const NAME_PATTERN = /^db_[\w.-]+\.json$/;
+
+const ROTATED_REASONS = ['scheduled', 'startup'];
+
+// Sections a state snapshot must have: per project, or at the top level in
+// snapshots from before projects existed
+const PROJECT_SECTIONS = ['instances', 'users', 'statistics'];
+
+// Sections left alone on restore unless asked for: restoring old credentials
+// would bring back revoked keys and logins
+const AUTH_SECTIONS = ['accounts', 'authSessions', 'apiKeys'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const projectSlices = (data) => (isPlainObject(data.projectData) ? Object.values(data.projectData) : [data]);
+
+const countRecords = (data) => {
+  const slices = projectSlices(data);
+  const count = section => slices.reduce((sum, slice) => sum + Object.keys(slice[section] || {}).length, 0);
+  return {
+    projects: isPlainObject(data.projects) ? Object.keys(data.projects).length : 1,
+    instances: count('instances'),
+    users: count('users'),
+    groups: count('groups'),
+    errorGroups: count('errorGroups'),
+    alertRules: count('alertRules')
+  };
+};
+
+const findProblems = (data) => {
+  const problems = isPlainObject(data.settings) ? [] : ['Missing section "settings"'];
+  if (isPlainObject(data.projectData)) {
+    Object.entries(data.projectData).forEach(([id, slice]) => {
+      PROJECT_SECTIONS
+        .filter(section => !isPlainObject(slice && slice[section]))
+        .forEach(section => problems.push(`Missing section "${section}" in project "${id}"`));
+    });
+  } else {
+    PROJECT_SECTIONS
+      .filter(section => !isPlainObject(data[section]))
+      .forEach(section => problems.push(`Missing section "${section}"`));
+  }
+  return problems;
+};
+
+const createBackupManager = ({ dir, store, retention = 30 }) => {
+  // Record counts per file, so listing doesn't re-parse unchanged backups
+  const countsCache = new Map();
+
+  const resolve = (name) => {
+    if (!NAME_PATTERN.test(name)) return null;
+    return path.join(dir, name);
+  };
+
+  // Contents of a backup, or null if there is no such file
+  const read = async (name) => {
+    const file = resolve(name);
+    if (!file) return null;
+    try {
+      return await fs.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  };
+
+  // Parse a backup and check it looks like a state snapshot; null if missing
+  const verify = async (name) => {
+    const raw = await read(name);
+    if (raw === null) return null;
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (e) {
+      return { name, valid: false, problems: [`Not valid JSON: ${e.message}`] };
+    }
+    if (!isPlainObject(data)) {
+      return { name, valid: false, problems: ['Not a JSON object'] };
+    }
+
+    const problems = findProblems(data);
+    return { name, valid: problems.length === 0, problems, counts: countRecords(data), data };
+  };
+
+  const describe = async (name) => {
+    const stat = await fs.stat(path.join(dir, name));
+    const key = `${name}:${stat.size}:${stat.mtimeMs}`;
+    if (!countsCache.has(key)) {
+      const result = await verify(name).catch(() => null);
+      countsCache.set(key, { valid: Boolean(result && result.valid), counts: (result && result.counts) || null });
+    }
+    const match = name.match(/^db_(.+?)(?:_([a-z-]+))?\.json$/);
+    return {
+      name,
+      size: stat.size,
+      createdAt: stat.mtime.toISOString(),
+      reason: match && match[2] ? match[2] : 'scheduled',
+      ...countsCache.get(key)
+    };
+  };
+
+  // Newest first
+  const list = async () => {
+    await fs.mkdir(dir, { recursive: true });
+    const names = (await fs.readdir(dir)).filter(name => NAME_PATTERN.test(name));
+    const backups = await Promise.all(names.map(describe));
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.name.localeCompare(a.name));
+  };
+
+  const prune = async () => {
+    const backups = await list();
+    const stale = ROTATED_REASONS.flatMap(reason =>
+      backups.filter(backup => backup.reason === reason).slice(retention));
+    for (const backup of stale) {
+      await fs.unlink(path.join(dir, backup.name)).catch(() => {});
+    }
+    return stale.length;
+  };
+
+  // Write the current state to a new backup file (via a temp file, so a
+  // crash never leaves a half-written backup behind)
+  const snapshot = async (reason = 'manual') => {
+    await fs.mkdir(dir, { recursive: true });
+    await store.flush();
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = `db_${stamp}_${reason}.json`;
+    const file = path.join(dir, name);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(store.get(), null, 2));
+    await fs.rename(`${file}.tmp`, file);
+
+    await prune();
+    return describe(name);
+  };
+
+  // Replace the state with a verified backup after taking a safety snapshot.
+  // Only the state is restored; the event log keeps everything logged since.
+  const restore = async (result, { includeAuth = false } = {}) => {
+    const safety = await snapshot('pre-restore');
+    const current = store.get();
+    const restored = { ...result.data };
+    if (!includeAuth) {
+      AUTH_SECTIONS.forEach((section) => { restored[section] = current[section]; });
+    }
+
+    await store.replace(restored);
+    await store.flush();
+    return { restored: result.name, counts: result.counts, safetySnapshot: safety.name };
+  };
+
+  return { list, snapshot, verify, restore, resolve, prune };
+};
+
+module.exports = { createBackupManager };
@@ -1,10 +1,245 @@
-module.exports = {
-    PORT: process.env.PORT || 3000,
-    TIMEOUTS: {
-        concurrent: 30 * 60 * 1000, // 30 mins
-        disconnected: 12 * 60 * 60 * 1000 // 12 hrs
-    },
-    LOGGING: {
-        enable: true
-    }
-};
\ No newline at end of file
+const fs = require('fs');
+const path = require('path');
+const { parseCron } = require('./scheduler');
+
+// Configuration is built from, in increasing priority: the defaults below,
+// a JSON config file (config.json in the project root, or CONFIG_FILE) and
+// environment variables. Every setting is declared here with its type, so
+// typos and bad values stop the server at startup instead of misbehaving later.
+const DEFAULT_FILE = path.join(__dirname, '../config.json');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Leaves are { type, default, env?, min?, max?, values?, secret? }.
+// `secret` settings are left out of GET /api/config.
+const SCHEMA = {
+  PORT: { type: 'integer', default: 3000, min: 1, max: 65535, env: 'PORT' },
+  TIMEOUTS: {
+    concurrent: { type: 'integer', default: 5 * MINUTE, min: 1000, env: 'ACTIVE_TIMEOUT_MS' },          // instance counts as active
+    disconnected: { type: 'integer', default: 24 * HOUR, min: 1000, env: 'DISCONNECTED_TIMEOUT_MS' },  // instance is removed after this
+    heartbeat: { type: 'integer', default: 2 * MINUTE, min: 1000, env: 'HEARTBEAT_TIMEOUT_MS' }
+  },
+  LOGGING: {
+    enable: { type: 'boolean', default: true }
+  },
+  RATE_LIMIT: {
+    windowMs: { type: 'integer', default: 95 * MINUTE, min: 1000 },
+    max: { type: 'integer', default: 10000, min: 1 }             // requests per IP per window
+  },
+  BACKUPS: {
+    retention: { type: 'integer', default: 30, min: 1, env: 'BACKUP_RETENTION' }   // scheduled and startup backups kept, each
+  },
+  JOBS: {                                                         // cron schedules, server local time
+    backup: { type: 'cron', default: '0 3 * * *', env: 'BACKUP_SCHEDULE' },
+    cleanup: { type: 'cron', default: '0 */6 * * *', env: 'CLEANUP_SCHEDULE' },
+    prune: { type: 'cron', default: '*/10 * * * *', env: 'PRUNE_SCHEDULE' }
+  },
+  STORE: {
+    flushDelay: { type: 'integer', default: 1000, min: 0 },            // write this long after the last change
+    flushInterval: { type: 'integer', default: 30 * 1000, min: 1000 }  // and at least this often
+  },
+  BATCH: {
+    maxEvents: { type: 'integer', default: 1000, min: 1 }         // max events accepted by /api/batch
+  },
+  AUTH: {
+    adminToken: { type: 'string', default: '', env: 'ADMIN_TOKEN', secret: true },     // machine access with admin rights
+    requireApiKeys: { type: 'boolean', default: true, env: 'REQUIRE_API_KEYS' },       // false while rolling keys out
+    sessionTtl: { type: 'integer', default: 12 * HOUR, min: MINUTE },                  // dashboard login lifetime
+    bootstrapAdmin: {                                                                  // created on startup if there are no accounts
+      username: { type: 'string', default: '', env: 'ADMIN_USERNAME', secret: true },
+      password: { type: 'string', default: '', env: 'ADMIN_PASSWORD', secret: true }
+    }
+  },
+  TIMESERIES: {
+    retention: {
+      minute: { type: 'integer', default: DAY, min: MINUTE },
+      hour: { type: 'integer', default: 30 * DAY, min: HOUR },
+      day: { type: 'integer', default: 365 * DAY, min: DAY }
+    }
+  },
+  ERRORS: {
+    maxGroups: { type: 'integer', default: 1000, min: 1 },        // distinct fingerprints kept
+    maxMessageLength: { type: 'integer', default: 2000, min: 1 },
+    maxStackLength: { type: 'integer', default: 8000, min: 1 }
+  },
+  ALERTS: {
+    evaluateInterval: { type: 'integer', default: 30 * 1000, min: 1000 },   // how often alert rules are checked
+    historyLimit: { type: 'integer', default: 500, min: 1 },                // resolved alerts kept
+    webhooks: { type: 'list', default: [], env: 'ALERT_WEBHOOK_URLS', secret: true }
+  },
+  LISTS: {
+    defaultLimit: { type: 'integer', default: 50, min: 1 },       // page size of /api/instances and /api/users
+    maxLimit: { type: 'integer', default: 500, min: 1 }
+  },
+  EVENTS: {
+    retention: { type: 'integer', default: 90 * DAY, min: DAY }   // event log entries kept (connects, messages, errors, ...)
+  },
+  ACTIVITY: {
+    retention: { type: 'integer', default: 400 * DAY, min: DAY }  // per-day active user sets kept for cohorts
+  },
+  SYSTEM_INFO: {
+    maxSamples: { type: 'integer', default: 1000, min: 1 },       // system-info reports kept per instance
+    retention: { type: 'integer', default: 7 * DAY, min: HOUR }   // and for at most this long
+  },
+  SESSIONS: {
+    maxPerInstance: { type: 'integer', default: 200, min: 1 },    // closed sessions kept per instance
+    flapThreshold: { type: 'integer', default: 5 * MINUTE, min: 0 }   // shorter sessions count as flaps
+  },
+  METRICS: {
+    // Bearer token for GET /metrics. When empty the endpoint is open to anyone
+    // who can reach the server, and exposes the counts of every project.
+    token: { type: 'string', default: '', env: 'METRICS_TOKEN', secret: true }
+  },
+  STREAM: {
+    interval: { type: 'integer', default: 2000, min: 100 }        // how often /api/stream checks for changes
+  },
+  STORAGE: {
+    driver: { type: 'string', default: 'json', values: ['json', 'sqlite'], env: 'STORAGE_DRIVER' },
+    sqlitePath: { type: 'string', default: path.join(__dirname, '../db/marxbot.sqlite'), env: 'SQLITE_PATH', secret: true }
+  }
+};
+
+const isLeaf = (node) => typeof node.type === 'string';
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Per type: how to read an environment string, and what's wrong with a value (or null)
+const TYPES = {
+  integer: {
+    fromEnv: (text) => (text.trim() === '' ? NaN : Number(text)),
+    check: (value, spec) => {
+      if (!Number.isInteger(value)) return 'must be an integer';
+      if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+      return null;
+    }
+  },
+  boolean: {
+    fromEnv: (text) => ({ true: true, false: false, 1: true, 0: false }[text.trim().toLowerCase()] ?? text),
+    check: (value) => (typeof value === 'boolean' ? null : 'must be true or false')
+  },
+  string: {
+    fromEnv: (text) => text,
+    check: (value, spec) => {
+      if (typeof value !== 'string') return 'must be a string';
+      if (spec.values && !spec.values.includes(value)) return `must be one of ${spec.values.join(', ')}`;
+      return null;
+    }
+  },
+  list: {
+    fromEnv: (text) => text.split(',').map(item => item.trim()).filter(Boolean),
+    check: (value) => (Array.isArray(value) && value.every(item => typeof item === 'string') ? null : 'must be a list of strings')
+  },
+  cron: {
+    fromEnv: (text) => text,
+    check: (value) => {
+      if (typeof value !== 'string') return 'must be a cron expression';
+      try {
+        parseCron(value);
+        return null;
+      } catch (e) {
+        return e.message;
+      }
+    }
+  }
+};
+
+const readConfigFile = (file, required) => {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT' && !required) return {};
+    throw new Error(`Cannot read config file ${file}: ${e.message}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Config file ${file} is not valid JSON: ${e.message}`);
+  }
+  if (!isPlainObject(data)) throw new Error(`Config file ${file} must contain a JSON object`);
+  return data;
+};
+
+// Merge one schema level; problems are collected rather than thrown so
+// startup reports everything that is wrong at once
+const build = (schema, fileValues, env, prefix, problems) => {
+  const config = {};
+
+  Object.keys(fileValues).forEach((key) => {
+    if (!(key in schema)) problems.push(`${prefix}${key}: unknown setting in config file`);
+  });
+
+  Object.entries(schema).forEach(([key, spec]) => {
+    const name = `${prefix}${key}`;
+    const fromFile = fileValues[key];
+
+    if (!isLeaf(spec)) {
+      if (fromFile !== undefined && !isPlainObject(fromFile)) {
+        problems.push(`${name}: must be an object in config file`);
+        config[key] = build(spec, {}, env, `${name}.`, problems);
+      } else {
+        config[key] = build(spec, fromFile || {}, env, `${name}.`, problems);
+      }
+      return;
+    }
+
+    const type = TYPES[spec.type];
+    let value = spec.default;
+    let source = 'default';
+    if (fromFile !== undefined) {
+      value = fromFile;
+      source = 'config file';
+    }
+    if (spec.env && env[spec.env] !== undefined) {
+      value = type.fromEnv(env[spec.env]);
+      source = spec.env;
+    }
+
+    const problem = type.check(value, spec);
+    if (problem) problems.push(`${name} (from ${source}): ${problem}`);
+    config[key] = value;
+  });
+
+  return config;
+};
+
+// Throws one error listing every invalid setting
+const loadConfig = ({ env = process.env } = {}) => {
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : DEFAULT_FILE;
+  const fileValues = readConfigFile(file, Boolean(env.CONFIG_FILE));
+
+  const problems = [];
+  const config = build(SCHEMA, fileValues, env, '', problems);
+
+  if (config.LISTS.defaultLimit > config.LISTS.maxLimit) {
+    problems.push('LISTS.defaultLimit: must not be larger than LISTS.maxLimit');
+  }
+  if (config.TIMEOUTS.concurrent > config.TIMEOUTS.disconnected) {
+    problems.push('TIMEOUTS.concurrent: must not be longer than TIMEOUTS.disconnected');
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  }
+  return config;
+};
+
+// The configuration without secret settings, for GET /api/config
+const publicConfig = (config, schema = SCHEMA) => {
+  const result = {};
+  Object.entries(schema).forEach(([key, spec]) => {
+    if (!isLeaf(spec)) {
+      const section = publicConfig(config[key], spec);
+      if (Object.keys(section).length) result[key] = section;
+    } else if (!spec.secret) {
+      result[key] = config[key];
+    }
+  });
+  return result;
+};
+
+module.exports = { SCHEMA, loadConfig, publicConfig };
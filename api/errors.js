@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Strip the parts of a message that vary between occurrences of the same bug
+const normalizeMessage = (message = '') => message
+  .replace(/[0-9a-f]{8,}/gi, '<hex>')
+  .replace(/\d+/g, '<n>')
+  .replace(/(["'`]).*?\1/g, '<str>')
+  .trim();
+
+// First stack frame without line/column numbers
+const topFrame = (stack = '') => {
+  const frame = stack.split('\n').map(line => line.trim()).find(line => line.startsWith('at '));
+  return frame ? frame.replace(/:\d+(:\d+)?\)?$/, '') : '';
+};
+
+const fingerprintError = ({ type, message, stack }) => crypto
+  .createHash('sha1')
+  .update(`${type}\n${normalizeMessage(message)}\n${topFrame(stack)}`)
+  .digest('hex')
+  .substring(0, 16);
+
+// Add one report to state.errorGroups; returns the group
+const recordErrorGroup = (db, report, now, { maxGroups = 1000 } = {}) => {
+  const fingerprint = fingerprintError(report);
+  let group = db.errorGroups[fingerprint];
+
+  if (!group) {
+    group = db.errorGroups[fingerprint] = {
+      fingerprint,
+      type: report.type,
+      message: report.message,
+      count: 0,
+      firstSeen: now,
+      lastSeen: now,
+      instances: {},
+      lastStack: null,
+      lastContext: null
+    };
+
+    // Forget the least recently seen groups beyond the cap
+    const groups = Object.values(db.errorGroups);
+    if (groups.length > maxGroups) {
+      groups
+        .sort((a, b) => a.lastSeen - b.lastSeen)
+        .slice(0, groups.length - maxGroups)
+        .forEach(g => delete db.errorGroups[g.fingerprint]);
+    }
+  }
+
+  group.count += 1;
+  group.lastSeen = now;
+  group.instances[report.instanceId] = (group.instances[report.instanceId] || 0) + 1;
+  group.lastStack = report.stack || null;
+  group.lastContext = report.context || null;
+  return group;
+};
+
+module.exports = { fingerprintError, recordErrorGroup };
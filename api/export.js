@@ -0,0 +1,56 @@
+// CSV / NDJSON exports written row by row, waiting for the socket to drain,
+// so large exports never sit in memory as one string.
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Text starting like a formula gets a leading quote so spreadsheets don't
+// evaluate it (user agents, error messages and names come from clients)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isoTime = (value) => (value ? new Date(value).toISOString() : null);
+
+// columns: [{ name, value(row) }]; rows: any iterable
+const streamExport = async (res, { format, filename, columns, rows }) => {
+  const { contentType, extension } = FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${extension}"`);
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const write = (chunk) => {
+    if (res.write(chunk)) return null;
+    return new Promise(resolve => {
+      res.once('drain', resolve);
+      res.once('close', resolve);
+    });
+  };
+
+  if (format === 'csv') {
+    await write(`${columns.map(column => csvCell(column.name)).join(',')}\n`);
+  }
+
+  for (const row of rows) {
+    if (closed) return;
+    const values = columns.map(column => column.value(row));
+    const line = format === 'csv'
+      ? values.map(csvCell).join(',')
+      : JSON.stringify(Object.fromEntries(columns.map((column, i) => [column.name, values[i]])));
+
+    const waiting = write(`${line}\n`);
+    if (waiting) await waiting;
+  }
+
+  res.end();
+};
+
+module.exports = { FORMATS, isoTime, streamExport };
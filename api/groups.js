@@ -0,0 +1,50 @@
+const { getOwn } = require('./objects');
+
+// WhatsApp groups seen in tracked events, kept in state.groups[groupId].
+// group_update actions are counted as reported and by category; messages
+// count when /api/track carries a groupId.
+const ACTION_CATEGORIES = {
+  add: 'joins',
+  join: 'joins',
+  invite: 'joins',
+  remove: 'leaves',
+  leave: 'leaves',
+  kick: 'leaves',
+  promote: 'promotions',
+  demote: 'demotions'
+};
+
+const CATEGORIES = ['joins', 'leaves', 'promotions', 'demotions', 'other'];
+
+const createGroup = (groupId, now) => {
+  const counts = {};
+  CATEGORIES.forEach((category) => { counts[category] = 0; });
+  return {
+    id: groupId,
+    firstSeen: now,
+    lastActive: now,
+    messages: 0,
+    messageTypes: {},
+    ...counts,
+    actions: {},        // raw action -> count
+    instances: {}       // instanceId -> last activity in this group
+  };
+};
+
+// Apply one tracked event that carries a groupId
+const recordGroupEvent = (db, { groupId, instanceId, eventType, action, messageType }, now) => {
+  const group = getOwn(db.groups, groupId) || (db.groups[groupId] = createGroup(groupId, now));
+  group.lastActive = now;
+  if (instanceId) group.instances[instanceId] = now;
+
+  if (eventType === 'message') {
+    group.messages += 1;
+    if (messageType) group.messageTypes[messageType] = (group.messageTypes[messageType] || 0) + 1;
+  } else if (eventType === 'group_update' && action) {
+    group.actions[action] = (group.actions[action] || 0) + 1;
+    group[getOwn(ACTION_CATEGORIES, action.toLowerCase()) || 'other'] += 1;
+  }
+  return group;
+};
+
+module.exports = { CATEGORIES, recordGroupEvent };
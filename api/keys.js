@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'mxb_';
+const LAST_USED_RESOLUTION = 60 * 1000; // only persist lastUsedAt once a minute
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Only the hash is stored; the plain key is returned once at creation time.
+// Events sent with a key are recorded in the key's project.
+const generateApiKey = ({ owner, label = '', projectId }) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const record = {
+    id: `key_${crypto.randomBytes(6).toString('hex')}`,
+    projectId,
+    owner,
+    label,
+    prefix: key.substring(0, KEY_PREFIX.length + 6),
+    hash: hashKey(key),
+    createdAt: Date.now(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  return { key, record };
+};
+
+// Strip the hash before sending a key record to a client
+const publicKeyRecord = ({ hash, ...record }) => record;
+
+const readKeyFromRequest = (req) => {
+  const header = req.get('x-api-key');
+  if (header) return header.trim();
+
+  const auth = req.get('authorization') || '';
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match && match[1].startsWith(KEY_PREFIX) ? match[1].trim() : null;
+};
+
+// Middleware for ingestion routes: attaches the key record as req.apiKey
+const createApiKeyMiddleware = ({ store, required = true }) => (req, res, next) => {
+  const key = readKeyFromRequest(req);
+  if (!key) {
+    if (!required) return next();
+    return res.status(401).json({ error: 'API key required' });
+  }
+
+  const hash = hashKey(key);
+  const record = Object.values(store.get().apiKeys || {}).find(k => k.hash === hash);
+  if (!record || record.revokedAt) {
+    return res.status(401).json({ error: 'Invalid or revoked API key' });
+  }
+
+  const now = Date.now();
+  if (!record.lastUsedAt || now - record.lastUsedAt > LAST_USED_RESOLUTION) {
+    store.update((db) => {
+      if (db.apiKeys[record.id]) db.apiKeys[record.id].lastUsedAt = now;
+    });
+  }
+
+  req.apiKey = record;
+  next();
+};
+
+module.exports = { generateApiKey, publicKeyRecord, createApiKeyMiddleware };
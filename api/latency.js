@@ -0,0 +1,160 @@
+// Request latency instrumentation.
+// Keeps a rolling window of durations per route (for p50/p95/p99), cumulative
+// counts by status code, and a per-minute summary history for charts. The
+// same figures are kept for all requests and per scope (the request's project).
+const percentile = (sorted, p) => {
+  if (!sorted.length) return 0;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const summarize = (durations) => {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const total = sorted.reduce((a, b) => a + b, 0);
+  return {
+    samples: sorted.length,
+    avg: sorted.length ? round(total / sorted.length) : 0,
+    p50: round(percentile(sorted, 50)),
+    p95: round(percentile(sorted, 95)),
+    p99: round(percentile(sorted, 99)),
+    max: round(sorted.length ? sorted[sorted.length - 1] : 0)
+  };
+};
+
+const createWindow = (size) => {
+  const values = [];
+  let next = 0;
+  return {
+    push(value) {
+      if (values.length < size) {
+        values.push(value);
+      } else {
+        values[next] = value;
+        next = (next + 1) % size;
+      }
+    },
+    values: () => values
+  };
+};
+
+// Label requests by their Express route pattern so /api/keys/:id is one series
+const routeLabel = (req) => {
+  if (req.route && req.route.path) {
+    const routePath = Array.isArray(req.route.path) ? req.route.path.join('|') : req.route.path;
+    return `${req.method} ${req.baseUrl || ''}${routePath}`;
+  }
+  return `${req.method} (other)`;  // static files and unmatched paths
+};
+
+// Figures for one set of requests
+const createScope = (windowSize, historyMinutes) => {
+  const routes = new Map();
+  const overall = { count: 0, sum: 0, statusCodes: {}, window: createWindow(windowSize) };
+  const history = [];
+  let minute = { start: Math.floor(Date.now() / 60000) * 60000, durations: createWindow(windowSize), count: 0 };
+
+  const rollMinute = (now) => {
+    const start = Math.floor(now / 60000) * 60000;
+    if (start === minute.start) return;
+
+    history.push({ timestamp: minute.start, count: minute.count, ...summarize(minute.durations.values()) });
+    // Fill skipped minutes so the chart has an even time axis
+    const firstGap = Math.max(minute.start + 60000, start - historyMinutes * 60000);
+    for (let ts = firstGap; ts < start; ts += 60000) {
+      history.push({ timestamp: ts, count: 0, ...summarize([]) });
+    }
+    history.splice(0, Math.max(0, history.length - historyMinutes));
+    minute = { start, durations: createWindow(windowSize), count: 0 };
+  };
+
+  const record = (label, statusCode, durationMs) => {
+    let route = routes.get(label);
+    if (!route) {
+      route = { count: 0, sum: 0, statusCodes: {}, window: createWindow(windowSize) };
+      routes.set(label, route);
+    }
+
+    [route, overall].forEach((target) => {
+      target.count += 1;
+      target.sum += durationMs;
+      target.statusCodes[statusCode] = (target.statusCodes[statusCode] || 0) + 1;
+      target.window.push(durationMs);
+    });
+
+    rollMinute(Date.now());
+    minute.count += 1;
+    minute.durations.push(durationMs);
+  };
+
+  const summary = () => ({
+    count: overall.count,
+    statusCodes: { ...overall.statusCodes },
+    ...summarize(overall.window.values())
+  });
+
+  const report = () => {
+    rollMinute(Date.now());
+    return {
+      overall: summary(),
+      routes: [...routes.entries()]
+        .map(([route, stats]) => ({
+          route,
+          count: stats.count,
+          statusCodes: { ...stats.statusCodes },
+          ...summarize(stats.window.values())
+        }))
+        .sort((a, b) => b.count - a.count),
+      history: [...history, { timestamp: minute.start, count: minute.count, ...summarize(minute.durations.values()) }]
+    };
+  };
+
+  // Cumulative per-route totals, e.g. for exporters
+  const totals = () => [...routes.entries()].map(([route, stats]) => ({
+    route,
+    count: stats.count,
+    sum: stats.sum,
+    statusCodes: { ...stats.statusCodes }
+  }));
+
+  return { record, summary, report, totals };
+};
+
+// `scopeOf(req)` names the scope a finished request also counts in, or null
+const createLatencyTracker = ({ windowSize = 1000, historyMinutes = 60, scopeOf = () => null } = {}) => {
+  const all = createScope(windowSize, historyMinutes);
+  const scopes = new Map();
+
+  const scope = (id) => {
+    if (!id) return all;
+    if (!scopes.has(id)) scopes.set(id, createScope(windowSize, historyMinutes));
+    return scopes.get(id);
+  };
+
+  const middleware = (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const label = routeLabel(req);
+      all.record(label, res.statusCode, durationMs);
+      const id = scopeOf(req);
+      if (id) scope(id).record(label, res.statusCode, durationMs);
+    });
+    next();
+  };
+
+  // Without a scope id these cover every request
+  const summary = id => scope(id).summary();
+  const report = id => scope(id).report();
+  const totals = id => scope(id).totals();
+
+  // Forget a scope, e.g. a deleted project
+  const drop = (id) => {
+    scopes.delete(id);
+  };
+
+  return { middleware, summary, report, totals, drop };
+};
+
+module.exports = { createLatencyTracker };
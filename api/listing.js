@@ -0,0 +1,33 @@
+// Filtering, sorting and page/limit pagination shared by the list endpoints.
+
+// Case-insensitive substring match against any of the given values
+const matchesText = (text, values) => {
+  const needle = text.toLowerCase();
+  return values.some(value => value != null && String(value).toLowerCase().includes(needle));
+};
+
+// Within [from, to]; either bound may be missing
+const inRange = (value, from, to) =>
+  (from === undefined || value >= from) && (to === undefined || value <= to);
+
+const sortItems = (items, field, order = 'desc') => {
+  const direction = order === 'asc' ? 1 : -1;
+  return items.sort((a, b) => {
+    const x = a[field];
+    const y = b[field];
+    if (x === y) return 0;
+    if (x == null) return 1;
+    if (y == null) return -1;
+    return (typeof x === 'string' ? x.localeCompare(y) : x - y) * direction;
+  });
+};
+
+const paginate = (items, { page = 1, limit }) => {
+  const pages = Math.max(1, Math.ceil(items.length / limit));
+  return {
+    items: items.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, pages, matched: items.length }
+  };
+};
+
+module.exports = { matchesText, inRange, sortItems, paginate };
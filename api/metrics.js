@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Prometheus text exposition format (version 0.0.4).
+// A family is { name, help, type, samples: [{ labels, value, suffix }] };
+// `suffix` is for summary parts such as _sum and _count.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabel = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (typeof value !== 'number' || isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatMetrics = (families) => families
+  .map(({ name, help, type, samples }) => [
+    `# HELP ${name} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(({ labels, value, suffix = '' }) => `${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`)
+  ].join('\n'))
+  .join('\n') + '\n';
+
+// One family with a single unlabelled sample
+const single = (name, type, help, value) => ({ name, type, help, samples: [{ value }] });
+
+// One sample per key of a { key: count } map
+const countSamples = (label, counts) =>
+  Object.entries(counts).map(([key, value]) => ({ labels: { [label]: key }, value }));
+
+// Scrapes must send `Authorization: Bearer <token>`; no token configured means open
+const requireBearerToken = (token) => (req, res, next) => {
+  if (!token) return next();
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  const provided = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(token);
+  if (provided.length === expected.length && crypto.timingSafeEqual(provided, expected)) return next();
+  res.status(401).json({ error: 'Invalid metrics token' });
+};
+
+module.exports = { CONTENT_TYPE, formatMetrics, single, countSamples, requireBearerToken };
@@ -0,0 +1,37 @@
+// Copy an existing db.json (plus events.ndjson and data/instance_storage.json)
+// into the SQLite backend.
+//
+//   node api/migrate.js [path/to/db.json] [path/to/marxbot.sqlite]
+const path = require('path');
+const { createSqliteStorage } = require('./storage/sqlite');
+const { migrateFromJson } = require('./storage');
+
+const run = async () => {
+  const from = path.resolve(process.argv[2] || path.join(__dirname, '../db/db.json'));
+  const to = path.resolve(process.argv[3] || process.env.SQLITE_PATH || path.join(__dirname, '../db/marxbot.sqlite'));
+
+  const target = createSqliteStorage({ filePath: to });
+  try {
+    if (await target.load()) {
+      throw new Error(`${to} already contains data, refusing to overwrite it`);
+    }
+
+    const result = await migrateFromJson({
+      filePath: from,
+      eventsPath: path.join(path.dirname(from), 'events.ndjson'),
+      instanceStoragePath: path.join(path.dirname(from), '../data/instance_storage.json')
+    }, target);
+
+    if (!result.migrated) {
+      throw new Error(`${from} is missing or empty`);
+    }
+    console.log(`✅ Migrated ${result.instances} instances, ${result.users} users and ${result.events} events to ${to}`);
+  } finally {
+    await target.close();
+  }
+};
+
+run().catch((e) => {
+  console.error(`❌ Migration failed: ${e.message}`);
+  process.exit(1);
+});
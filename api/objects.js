@@ -0,0 +1,24 @@
+// Helpers for the plain objects the state is made of
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Fill in keys missing from older data files without touching existing values
+const withDefaults = (defaults, data) => {
+  if (!isPlainObject(defaults) || !isPlainObject(data)) return data;
+  const merged = { ...data };
+  Object.entries(defaults).forEach(([key, value]) => {
+    merged[key] = key in data ? withDefaults(value, data[key]) : clone(value);
+  });
+  return merged;
+};
+
+// Keyed sections are plain objects, so ids such as "constructor" would find
+// Object.prototype members; request input is looked up as own keys only and
+// names the prototype already has are refused as new keys
+const RESERVED_KEYS = Object.getOwnPropertyNames(Object.prototype);
+const isReservedKey = (key) => RESERVED_KEYS.includes(key);
+const getOwn = (object, key) => (Object.hasOwn(object, key) ? object[key] : undefined);
+
+module.exports = { isPlainObject, clone, withDefaults, getOwn, isReservedKey };
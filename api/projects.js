@@ -0,0 +1,84 @@
+const { withDefaults, getOwn } = require('./objects');
+
+// Projects (tenants). Each project's analytics live in state.projectData[id]
+// with the same sections a single-tenant state used to have at the top level;
+// project metadata is in state.projects[id]. API keys, accounts and settings
+// stay global. Data from before projects existed becomes the default project.
+const DEFAULT_PROJECT = 'default';
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+const createProjectRecord = ({ id, name, description = '' }, now) => ({
+  id,
+  name: name || id,
+  description,
+  createdAt: now
+});
+
+// Move legacy top-level sections into the default project and fill in
+// sections missing from older project data. Used as the store's migrate hook.
+const normalizeProjects = (db, template) => {
+  db.projects = db.projects || {};
+  db.projectData = db.projectData || {};
+
+  const legacy = Object.keys(template).filter(section => section in db);
+  if (legacy.length || !db.projects[DEFAULT_PROJECT]) {
+    const data = db.projectData[DEFAULT_PROJECT] || {};
+    legacy.forEach((section) => {
+      if (!(section in data)) data[section] = db[section];
+      delete db[section];
+    });
+    db.projectData[DEFAULT_PROJECT] = data;
+    db.projects[DEFAULT_PROJECT] = db.projects[DEFAULT_PROJECT] ||
+      createProjectRecord({ id: DEFAULT_PROJECT, name: 'Default' }, Date.now());
+  }
+
+  Object.keys(db.projects).forEach((id) => {
+    db.projectData[id] = withDefaults(template, db.projectData[id] || {});
+  });
+  // Data without a project record is unreachable; drop it
+  Object.keys(db.projectData).forEach((id) => {
+    if (!db.projects[id]) delete db.projectData[id];
+  });
+  return db;
+};
+
+// Returns the new project, or null if the id is taken
+const createProject = (db, fields, template, now) => {
+  if (getOwn(db.projects, fields.id)) return null;
+  db.projects[fields.id] = createProjectRecord(fields, now);
+  db.projectData[fields.id] = withDefaults(template, {});
+  return db.projects[fields.id];
+};
+
+// Deletes the project's data, revokes its keys and removes it from account
+// restrictions. The default project can't be deleted.
+const deleteProject = (db, id, now) => {
+  if (id === DEFAULT_PROJECT || !getOwn(db.projects, id)) return false;
+  delete db.projects[id];
+  delete db.projectData[id];
+
+  Object.values(db.apiKeys).forEach((key) => {
+    if (key.projectId === id && !key.revokedAt) key.revokedAt = now;
+  });
+  Object.values(db.accounts).forEach((account) => {
+    if (account.projects) account.projects = account.projects.filter(projectId => projectId !== id);
+  });
+  return true;
+};
+
+// Admins see every project; other accounts are limited to `projects` when set
+const canAccessProject = (account, id) =>
+  account.role === 'admin' || !account.projects || account.projects.includes(id);
+
+// Keys issued before projects existed belong to the default project
+const keyProject = (apiKey) => (apiKey && apiKey.projectId) || DEFAULT_PROJECT;
+
+module.exports = {
+  DEFAULT_PROJECT,
+  PROJECT_ID_PATTERN,
+  normalizeProjects,
+  createProject,
+  deleteProject,
+  canAccessProject,
+  keyProject
+};
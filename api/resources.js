@@ -0,0 +1,134 @@
+// System info reported by bots through /api/system-info.
+// Each report is reduced to a sample and appended to
+// state.systemInfoHistory[instanceId], capped by count and age.
+const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
+// Bots send whatever their helper collects, so accept the common shapes:
+// cpu as a percentage (or { usage }), memory as bytes used (or { used, total },
+// or a process.memoryUsage() object), uptime in seconds
+const normalizeSystemInfo = (info, timestamp) => {
+  const cpu = info.cpu !== undefined ? info.cpu : info.cpuUsage;
+  const memory = info.memory !== undefined ? info.memory : info.memoryUsage;
+
+  let memoryUsed = toNumber(memory);
+  let memoryTotal = toNumber(info.memoryTotal) || toNumber(info.totalMemory);
+  if (memory && typeof memory === 'object') {
+    memoryUsed = toNumber(memory.used) || toNumber(memory.rss) || toNumber(memory.heapUsed);
+    memoryTotal = toNumber(memory.total) || memoryTotal;
+  }
+
+  return {
+    timestamp,
+    cpu: cpu && typeof cpu === 'object' ? toNumber(cpu.usage) : toNumber(cpu),
+    memoryUsed,
+    memoryTotal,
+    nodeVersion: info.nodeVersion || info.node || null,
+    platform: info.platform || null,
+    uptime: toNumber(info.uptime)
+  };
+};
+
+const recordSystemInfo = (db, instanceId, info, timestamp, { maxSamples = 1000 } = {}) => {
+  const sample = normalizeSystemInfo(info, timestamp);
+  const samples = db.systemInfoHistory[instanceId] || (db.systemInfoHistory[instanceId] = []);
+  samples.push(sample);
+  samples.splice(0, Math.max(0, samples.length - maxSamples));
+  return sample;
+};
+
+// Drop samples older than the retention, and histories of instances that are gone
+const pruneSystemInfo = (db, retention, now = Date.now()) => {
+  let removed = 0;
+  Object.entries(db.systemInfoHistory).forEach(([instanceId, samples]) => {
+    if (!db.instances[instanceId]) {
+      removed += samples.length;
+      delete db.systemInfoHistory[instanceId];
+      return;
+    }
+    const keep = samples.filter(sample => now - sample.timestamp <= retention);
+    removed += samples.length - keep.length;
+    db.systemInfoHistory[instanceId] = keep;
+  });
+  return removed;
+};
+
+const RESOURCE_FIELDS = ['cpu', 'memoryUsed', 'memoryPercent'];
+
+const withPercent = (sample) => ({
+  ...sample,
+  memoryPercent: sample.memoryUsed !== null && sample.memoryTotal
+    ? (sample.memoryUsed / sample.memoryTotal) * 100
+    : null
+});
+
+// { field: { avg, max } } over the samples that report each field
+const aggregate = (samples) => {
+  const result = {};
+  RESOURCE_FIELDS.forEach((field) => {
+    const values = samples.map(sample => sample[field]).filter(value => value !== null);
+    result[field] = values.length
+      ? { avg: values.reduce((a, b) => a + b, 0) / values.length, max: values.reduce((a, b) => Math.max(a, b)) }
+      : { avg: null, max: null };
+  });
+  return result;
+};
+
+const pick = (sample) => {
+  const values = { timestamp: sample.timestamp };
+  RESOURCE_FIELDS.forEach((field) => { values[field] = sample[field]; });
+  return values;
+};
+
+// Per-instance latest/avg/max CPU and memory between `from` and `to`, plus
+// fleet-wide figures and a series of `points` buckets for charts
+const aggregateResources = (db, { from, to, points = 60 }) => {
+  const step = Math.max(1, Math.ceil((to - from) / points));
+  const buckets = [];
+  for (let start = from; start < to; start += step) {
+    buckets.push({ timestamp: start, samples: [] });
+  }
+
+  const instances = [];
+  Object.entries(db.systemInfoHistory).forEach(([instanceId, history]) => {
+    const samples = history
+      .filter(sample => sample.timestamp >= from && sample.timestamp <= to)
+      .map(withPercent);
+    if (!samples.length) return;
+
+    samples.forEach((sample) => {
+      const bucket = buckets[Math.min(buckets.length - 1, Math.floor((sample.timestamp - from) / step))];
+      if (bucket) bucket.samples.push(sample);
+    });
+
+    instances.push({
+      instanceId,
+      samples: samples.length,
+      latest: pick(samples[samples.length - 1]),
+      ...aggregate(samples)
+    });
+  });
+
+  // Fleet "latest" averages every instance's most recent sample
+  const latest = aggregate(instances.map(instance => instance.latest));
+  const overall = aggregate(buckets.flatMap(bucket => bucket.samples));
+  const fleet = { latest: {}, avg: {}, max: {} };
+  RESOURCE_FIELDS.forEach((field) => {
+    fleet.latest[field] = latest[field].avg;
+    fleet.avg[field] = overall[field].avg;
+    fleet.max[field] = overall[field].max;
+  });
+
+  return {
+    from,
+    to,
+    step,
+    fleet: {
+      ...fleet,
+      instances: instances.length,
+      series: buckets.map(bucket => ({ timestamp: bucket.timestamp, ...aggregate(bucket.samples) }))
+    },
+    instances
+  };
+};
+
+module.exports = { normalizeSystemInfo, recordSystemInfo, pruneSystemInfo, aggregateResources };
@@ -0,0 +1,182 @@
+// Small cron-style job scheduler for maintenance tasks.
+// Schedules are standard 5-field cron expressions (minute hour day-of-month
+// month day-of-week) in server local time, supporting *, lists, ranges and
+// steps. A job never runs twice at once; a run that comes due while the
+// previous one is still going is skipped.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }   // 0 and 7 are Sunday
+];
+
+// setTimeout can't wait longer than this; longer waits are re-armed
+const MAX_TIMEOUT = 2 ** 31 - 1;
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+  text.split(',').forEach((part) => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} "${part}"`);
+
+    const start = match[1] === '*' ? min : Number(match[2]);
+    const end = match[1] === '*' ? max : match[3] !== undefined ? Number(match[3]) : (match[4] ? max : start);
+    const step = match[4] ? Number(match[4]) : 1;
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression "${expression}" must have 5 fields`);
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] === '*' || parts[4] === '*'
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? dom && dow : dom || dow;
+};
+
+// First matching minute strictly after `from`
+const nextRun = (cron, from = new Date()) => {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skip whole months/days/hours that can't match; give up after ~5 years
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+const createScheduler = ({ onError = () => {} } = {}) => {
+  const jobs = new Map();
+
+  const arm = (job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    if (!job.enabled) return;
+
+    const next = nextRun(job.cron);
+    job.nextRunAt = next ? next.getTime() : null;
+    if (!next) return;
+
+    const delay = next.getTime() - Date.now();
+    job.timer = setTimeout(() => {
+      if (delay > MAX_TIMEOUT) return arm(job);
+      run(job.name, 'schedule').catch(() => {});
+      arm(job);
+    }, Math.min(delay, MAX_TIMEOUT));
+    job.timer.unref();
+  };
+
+  // Register a job; `task` is called with { trigger } and resolves with a
+  // short result or throws
+  const add = (name, { schedule, description = '', task, enabled = true }) => {
+    const job = {
+      name,
+      schedule,
+      description,
+      task,
+      enabled,
+      cron: parseCron(schedule),
+      running: false,
+      runs: 0,
+      failures: 0,
+      skipped: 0,
+      lastRun: null,
+      nextRunAt: null,
+      timer: null
+    };
+    jobs.set(name, job);
+    return job;
+  };
+
+  // Run a job now; resolves with the run record, or null if it was already running
+  const run = async (name, trigger = 'manual') => {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job "${name}"`);
+    if (job.running) {
+      job.skipped += 1;
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+    const record = { trigger, startedAt, finishedAt: null, durationMs: null, status: 'running', result: null, error: null };
+    job.lastRun = record;
+
+    try {
+      record.result = (await job.task({ trigger })) ?? null;
+      record.status = 'success';
+    } catch (e) {
+      record.status = 'failed';
+      record.error = e.message;
+      job.failures += 1;
+      onError(e, job);
+    } finally {
+      record.finishedAt = Date.now();
+      record.durationMs = record.finishedAt - startedAt;
+      job.runs += 1;
+      job.running = false;
+    }
+    return record;
+  };
+
+  const start = () => jobs.forEach(arm);
+
+  const stop = () => jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+  });
+
+  const status = () => [...jobs.values()].map(job => ({
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    enabled: job.enabled,
+    running: job.running,
+    nextRunAt: job.nextRunAt,
+    runs: job.runs,
+    failures: job.failures,
+    skipped: job.skipped,
+    lastRun: job.lastRun
+  }));
+
+  const has = (name) => jobs.has(name);
+
+  return { add, run, start, stop, status, has };
+};
+
+module.exports = { parseCron, nextRun, createScheduler };
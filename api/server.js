@@ -4,7 +4,28 @@ const path = require('path');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
+const { createStore } = require('./store');
+const { getOwn, isReservedKey } = require('./objects');
+const { createStorage, migrateFromJson } = require('./storage');
+const { generateApiKey, publicKeyRecord, createApiKeyMiddleware } = require('./keys');
+const { ROLES, createAuth } = require('./auth');
+const timeseries = require('./timeseries');
+const { createLatencyTracker } = require('./latency');
+const { createStreamHub } = require('./stream');
+const errorReports = require('./errors');
+const alerts = require('./alerts');
+const sessions = require('./sessions');
+const activity = require('./activity');
+const listing = require('./listing');
+const resources = require('./resources');
+const exporter = require('./export');
+const metrics = require('./metrics');
+const groups = require('./groups');
+const { createBackupManager } = require('./backups');
+const { createScheduler } = require('./scheduler');
+const { loadConfig, publicConfig } = require('./config');
+const projects = require('./projects');
 const app = express();
 //
 
@@ -15,32 +36,37 @@ app.set('trust proxy', 1);
 // Your other middleware
 
 // Rest of your code...
-// Configuration - moved to top for better visibility
-const CONFIG = {
-  PORT: process.env.PORT || 3000,
-  TIMEOUTS: {
-    concurrent: 5 * 60 * 1000,    // 5 minutes for concurrent activity
-    disconnected: 24 * 60 * 60 * 1000, // 24 hours for full disconnection
-    heartbeat: 2 * 60 * 1000      // 2 minutes for heartbeat timeout
-  },
-  LOGGING: {
-    enable: true
-  },
-  RATE_LIMIT: {
-    windowMs: 95 * 60 * 1000,     // 15 minutes
-    max: 10000                       // limit each IP to 100 requests per windowMs
-  }
-};
+// Configuration: defaults, config.json and environment variables (see api/config.js)
+let CONFIG;
+try {
+  CONFIG = loadConfig();
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
 
 const DB_PATH = path.join(__dirname, '../db/db.json');
+const EVENTS_PATH = path.join(__dirname, '../db/events.ndjson');
 const DB_BACKUP_PATH = path.join(__dirname, '../db/backups');
 const LOG_PATH = path.join(__dirname, '../logs/errors.log');
 const INSTANCE_STORAGE_PATH = path.join(__dirname, '../data/instance_storage.json');
 
-// Enhanced data structure with heartbeat tracking
-const initialDB = {
+// Analytics of one project, kept in state.projectData[projectId]
+const initialProjectData = {
   instances: {},
   users: {},
+  instanceIds: {},   // userId -> instanceId so reconnecting bots keep their instance
+  timeseries: timeseries.createTimeseriesState(),   // minute/hour/day metric buckets
+  errorGroups: {},   // fingerprint -> grouped error reports
+  sessions: {},      // instanceId -> closed connect/disconnect sessions, oldest first
+  activity: {},      // 'YYYY-MM-DD' -> { userId: 1 } for users active that day
+  systemInfoHistory: {},   // instanceId -> system-info samples, oldest first
+  groups: {},        // groupId -> group activity (actions, messages, instances)
+  alertRules: {},    // ruleId -> alert rule
+  alerts: {
+    active: {},      // "<ruleId>:<subject>" -> firing alert
+    history: []      // resolved alerts, newest first
+  },
   statistics: {
     totalConnections: 0,
     currentConnections: 0,
@@ -48,7 +74,7 @@ const initialDB = {
     disconnections: 0,
     reconnections: 0,
     totalMessages: 0,
-    dailyActive: {},
+    dailyActive: {},          // connects per day; unique users are in `activity`
     dailyDisconnections: {},
     userAgents: {},
     messageTypes: {},
@@ -58,7 +84,16 @@ const initialDB = {
     errors: {},
     systemInfo: {},
     heartbeats: 0
-  },
+  }
+};
+
+// Enhanced data structure with heartbeat tracking
+const initialDB = {
+  projects: {},      // projectId -> { id, name, description, createdAt }
+  projectData: {},   // projectId -> analytics, shaped like initialProjectData
+  apiKeys: {},       // keyId -> hashed per-bot ingestion key, bound to a project
+  accounts: {},      // username -> dashboard account (admin or viewer)
+  authSessions: {},  // token hash -> dashboard login session
   settings: {
     version: "2.1.0",  // Updated version
     createdAt: new Date().toISOString(),
@@ -73,12 +108,25 @@ const limiter = rateLimit({
 
 
 
+// Request latency per route, reported by /api/performance and /api/stats
+// Request timings, overall and per project (ingestion and dashboard routes that resolved one)
+const latency = createLatencyTracker({ scopeOf: req => req.project && req.project.id });
+
+// Connected /api/stream dashboards
+const streamHub = createStreamHub();
+
 // Middleware setup
-app.use(express.json());
+app.use(latency.middleware);
+app.use(express.json({ limit: '1mb' })); // room for /api/batch payloads
 app.use(cors({
   origin: '*',
-  methods: ['GET', 'POST']
+  methods: ['GET', 'POST', 'DELETE']
 }));
+// Dashboard page requires a login; login page and static assets stay public
+app.get(['/', '/index.html'], (req, res, next) => {
+  if (!auth.resolveAccount(req)) return res.redirect('/login.html');
+  next();
+});
 app.use(express.static(path.join(__dirname, '../public')));
 app.use(compression());
 
@@ -98,102 +146,118 @@ const logError = async (message, ip, stack = '') => {
   }
 };
 
-// Database functions
-const loadDB = async () => {
-  try {
-    await fs.mkdir(path.dirname(DB_PATH), { recursive: true });
-    const raw = await fs.readFile(DB_PATH, 'utf8');
-    return JSON.parse(raw);
-  } catch (e) {
-    await saveDB(initialDB);
-    return initialDB;
-  }
-};
+// Express 4 doesn't catch rejected promises; hand them to the error handler below
+const asyncHandler = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
-const saveDB = async (data) => {
-  try {
-    await fs.writeFile(DB_PATH, JSON.stringify(data, null, 2));
-  } catch (e) {
-    await logError(`DB write error: ${e.message}`, 'SYSTEM', e.stack);
-  }
+// Storage backend, selected by CONFIG.STORAGE.driver
+const JSON_STORAGE_OPTIONS = {
+  filePath: DB_PATH,
+  eventsPath: EVENTS_PATH,
+  instanceStoragePath: INSTANCE_STORAGE_PATH,
+  onError: (e) => logError(`JSON storage error: ${e.message}`, 'SYSTEM', e.stack)
 };
 
-// Instance ID storage functions
-const loadInstanceStorage = async () => {
-  try {
-    if (fs.existsSync(INSTANCE_STORAGE_PATH)) {
-      const data = await fs.readFile(INSTANCE_STORAGE_PATH, 'utf8');
-      return JSON.parse(data);
-    }
-    return {};
-  } catch (e) {
-    await logError(`Instance storage load error: ${e.message}`, 'SYSTEM', e.stack);
-    return {};
-  }
-};
+const storage = createStorage({
+  driver: CONFIG.STORAGE.driver,
+  json: JSON_STORAGE_OPTIONS,
+  sqlite: { filePath: CONFIG.STORAGE.sqlitePath }
+});
+
+// State store - all reads come from memory, all writes go through the store queue
+const dbStore = createStore({
+  storage,
+  initialState: initialDB,
+  migrate: db => projects.normalizeProjects(db, initialProjectData),
+  flushDelay: CONFIG.STORE.flushDelay,
+  flushInterval: CONFIG.STORE.flushInterval,
+  onError: (e) => logError(`DB store error: ${e.message}`, 'SYSTEM', e.stack)
+});
+
+const backups = createBackupManager({
+  dir: DB_BACKUP_PATH,
+  store: dbStore,
+  retention: CONFIG.BACKUPS.retention
+});
+
+// A fresh non-JSON backend picks up an existing db.json on first start
+const prepareStorage = async () => {
+  if (storage.name === 'json' || await storage.load()) return;
 
-const saveInstanceStorage = async (data) => {
-  try {
-    await fs.mkdir(path.dirname(INSTANCE_STORAGE_PATH), { recursive: true });
-    await fs.writeFile(INSTANCE_STORAGE_PATH, JSON.stringify(data, null, 2));
-  } catch (e) {
-    await logError(`Instance storage save error: ${e.message}`, 'SYSTEM', e.stack);
+  const result = await migrateFromJson(JSON_STORAGE_OPTIONS, storage);
+  if (result.migrated) {
+    console.log(`Migrated db.json to ${storage.name}: ${result.instances} instances, ${result.users} users, ${result.events} events`);
   }
 };
 
-const ensurePersistentData = async () => {
-  try {
-    await fs.mkdir(DB_BACKUP_PATH, { recursive: true });
-    const today = new Date().toISOString().split('T')[0];
-    const backupFile = path.join(DB_BACKUP_PATH, `db_${today}.json`);
-    
-    const db = await loadDB();
-    await fs.writeFile(backupFile, JSON.stringify(db, null, 2));
-    
-    // Data retention (keep 30 days)
-    const files = await fs.readdir(DB_BACKUP_PATH);
-    const oldFiles = files.filter(f => f.startsWith('db_') && f.endsWith('.json'))
-      .sort()
-      .slice(0, -30);
-    
-    for (const file of oldFiles) {
-      await fs.unlink(path.join(DB_BACKUP_PATH, file)).catch(() => {});
-    }
-    
+// The run on startup gets its own label so restarts don't rotate out the daily backups
+const ensurePersistentData = async ({ trigger } = {}) => {
+  const backup = await backups.snapshot(trigger === 'startup' ? 'startup' : 'scheduled');
+
+  await dbStore.update((db) => {
     db.settings.lastMaintenance = new Date().toISOString();
-    await saveDB(db);
-  } catch (e) {
-    await logError(`DB maintenance error: ${e.message}`, 'SYSTEM', e.stack);
-  }
+  });
+  return { backup: backup.name };
 };
 
-// Cleanup inactive instances
+// Cleanup inactive instances in every project, and event log entries past retention
 const cleanupInactiveInstances = async () => {
-  try {
-    const db = await loadDB();
+  const removedCount = await dbStore.update((root) => {
     const now = Date.now();
-    let removedCount = 0;
+    let removed = 0;
 
-    Object.entries(db.instances).forEach(([id, instance]) => {
-      if ((now - instance.lastActive) > CONFIG.TIMEOUTS.disconnected) {
-        delete db.instances[id];
-        removedCount++;
-      }
+    Object.values(root.projectData).forEach((db) => {
+      Object.entries(db.instances).forEach(([id, instance]) => {
+        if ((now - instance.lastActive) > CONFIG.TIMEOUTS.disconnected) {
+          delete db.instances[id];
+          delete db.sessions[id];
+          delete db.systemInfoHistory[id];
+          removed++;
+        }
+      });
     });
 
-    if (removedCount > 0) {
-      await saveDB(db);
-      console.log(`Cleaned up ${removedCount} inactive instances`);
-    }
-  } catch (e) {
-    await logError(`Instance cleanup error: ${e.message}`, 'SYSTEM', e.stack);
+    return removed;
+  });
+
+  if (removedCount > 0) {
+    console.log(`Cleaned up ${removedCount} inactive instances`);
   }
+
+  const removedEvents = await dbStore.pruneEvents({ before: Date.now() - CONFIG.EVENTS.retention });
+  return { removed: removedCount, removedEvents };
+};
+
+// Drop metric buckets, activity days and system-info samples past their retention
+const pruneTimeseries = async () => {
+  await dbStore.update((root) => {
+    Object.values(root.projectData).forEach((db) => {
+      timeseries.pruneTimeseries(db, CONFIG.TIMESERIES.retention);
+      activity.pruneActivity(db, CONFIG.ACTIVITY.retention);
+      resources.pruneSystemInfo(db, CONFIG.SYSTEM_INFO.retention);
+    });
+  });
 };
 
-// Run maintenance every hour
-setInterval(ensurePersistentData, 172800000);
-// Run cleanup every 6 hours
-setInterval(cleanupInactiveInstances, 6 * 172800000);
+// Maintenance jobs; failures are logged and kept in the job status
+const scheduler = createScheduler({
+  onError: (e, job) => logError(`Job "${job.name}" failed: ${e.message}`, 'SYSTEM', e.stack)
+});
+
+scheduler.add('backup', {
+  schedule: CONFIG.JOBS.backup,
+  description: 'Snapshot the database to the backups directory',
+  task: ensurePersistentData
+});
+scheduler.add('cleanup', {
+  schedule: CONFIG.JOBS.cleanup,
+  description: 'Remove instances inactive for longer than the disconnect timeout and events past retention',
+  task: cleanupInactiveInstances
+});
+scheduler.add('prune', {
+  schedule: CONFIG.JOBS.prune,
+  description: 'Drop metric buckets, activity days and system-info samples past retention',
+  task: pruneTimeseries
+});
 
 // Helper functions
 function updateConnectionStats(db, now) {
@@ -208,13 +272,165 @@ function updateConnectionStats(db, now) {
   }
 }
 
-function getDailyKey() {
-  return new Date().toISOString().split('T')[0];
+function applyHeartbeat(db, instanceId, now) {
+  if (db.instances[instanceId]) {
+    db.instances[instanceId].lastHeartbeat = now;
+    db.instances[instanceId].lastActive = now;
+    db.statistics.heartbeats = (db.statistics.heartbeats || 0) + 1;
+  }
+}
+
+// Apply one /api/track payload to a project's data (shared with /api/batch)
+function applyTrackEvent(db, payload, now, projectId) {
+  const { instanceId, userId, messageId, messageType, eventType } = payload;
+
+  // Update user activity
+  if (!db.users[userId]) {
+    db.users[userId] = {
+      id: userId,
+      firstSeen: now,
+      lastActive: now,
+      instances: [instanceId],
+      totalMessages: 0,
+      totalReactions: 0,
+      messageTypes: {},
+      reactions: {}
+    };
+  } else {
+    db.users[userId].lastActive = now;
+    if (!db.users[userId].instances.includes(instanceId)) {
+      db.users[userId].instances.push(instanceId);
+    }
+  }
+
+  // Update instance activity
+  if (db.instances[instanceId]) {
+    db.instances[instanceId].lastActive = now;
+  }
+  if (eventType !== 'heartbeat') {
+    activity.recordActivity(db, userId, now);
+  }
+  if (payload.groupId) {
+    groups.recordGroupEvent(db, payload, now);
+  }
+
+  // Per-user breakdowns; users recorded before these existed lack them
+  const user = db.users[userId];
+  user.messageTypes = user.messageTypes || {};
+  user.reactions = user.reactions || {};
+
+  // Handle different event types
+  if (eventType === 'message') {
+    db.statistics.totalMessages += 1;
+    user.totalMessages += 1;
+    timeseries.recordMetric(db, 'messages', now);
+
+    if (messageType) {
+      db.statistics.messageTypes[messageType] = (db.statistics.messageTypes[messageType] || 0) + 1;
+      user.messageTypes[messageType] = (user.messageTypes[messageType] || 0) + 1;
+    }
+  }
+  else if (eventType === 'group_update') {
+    const { action, groupId } = payload;
+    const key = `${action}_${groupId}`;
+    db.statistics.groupEvents[key] = (db.statistics.groupEvents[key] || 0) + 1;
+  }
+  else if (eventType === 'status_update') {
+    const { status } = payload;
+    db.statistics.statusUpdates[status] = (db.statistics.statusUpdates[status] || 0) + 1;
+  }
+  else if (eventType === 'message_reaction') {
+    const { reaction } = payload;
+    db.statistics.messageReactions[reaction] = (db.statistics.messageReactions[reaction] || 0) + 1;
+    user.totalReactions += 1;
+    user.reactions[reaction] = (user.reactions[reaction] || 0) + 1;
+    timeseries.recordMetric(db, 'reactions', now);
+  }
+  else if (eventType === 'heartbeat') {
+    applyHeartbeat(db, instanceId, now);
+  }
+
+  // Heartbeats are counted but too frequent to keep in the event log
+  if (eventType && eventType !== 'heartbeat') {
+    const { action, groupId, status, reaction } = payload;
+    dbStore.recordEvent({
+      projectId,
+      type: eventType,
+      instanceId,
+      userId,
+      timestamp: now,
+      messageId,
+      messageType,
+      action,
+      groupId,
+      status,
+      reaction
+    });
+  }
+}
+
+function isInstanceActive(instance, now) {
+  return instance.status === 'connected' &&
+    (now - instance.lastActive) < CONFIG.TIMEOUTS.concurrent &&
+    (now - (instance.lastHeartbeat || 0)) < CONFIG.TIMEOUTS.heartbeat;
+}
+
+// Headline numbers pushed over /api/stream
+function summarizeStats(db, now) {
+  const instances = Object.values(db.instances);
+  const activeInstances = instances.filter(i => isInstanceActive(i, now)).length;
+  return {
+    totalInstances: instances.length,
+    activeInstances,
+    inactiveInstances: instances.length - activeInstances,
+    totalUsers: Object.keys(db.users).length,
+    activeUsers: Object.values(db.users).filter(u =>
+      (now - u.lastActive) < CONFIG.TIMEOUTS.concurrent
+    ).length,
+    totalConnections: db.statistics.totalConnections,
+    totalMessages: db.statistics.totalMessages,
+    disconnections: db.statistics.disconnections,
+    reconnections: db.statistics.reconnections,
+    heartbeats: db.statistics.heartbeats
+  };
+}
+
+// Fleet health as reported by /api/connection-health
+function getConnectionHealth(db, now) {
+  const instances = Object.values(db.instances);
+  const activeInstances = instances.filter(i => isInstanceActive(i, now));
+  const inactiveInstances = instances.filter(i => !isInstanceActive(i, now));
+
+  const avgUptime = instances.reduce((sum, i) => {
+    return sum + (i.lastActive - i.firstSeen);
+  }, 0) / (instances.length || 1);
+
+  // Determine health status
+  let healthStatus = 'healthy';
+  if (activeInstances.length === 0) {
+    healthStatus = 'critical';
+  } else if (inactiveInstances.length > activeInstances.length) {
+    healthStatus = 'degraded';
+  }
+
+  return {
+    activeInstances,
+    inactiveInstances,
+    activeCount: activeInstances.length,
+    inactiveCount: inactiveInstances.length,
+    avgUptime,
+    errorRate: calculateErrorRate(db),
+    healthStatus
+  };
+}
+
+// Parse ms timestamps or ISO dates from the query string
+function parseTime(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
 }
 
-function calculateAvgResponseTime(db) {
-  // Implement your response time calculation logic
-  return 0;
+function getDailyKey() {
+  return new Date().toISOString().split('T')[0];
 }
 
 function calculateErrorRate(db) {
@@ -223,20 +439,141 @@ function calculateErrorRate(db) {
   return totalRequests > 0 ? (totalErrors / totalRequests) * 100 : 0;
 }
 
+// Ingestion routes require a per-bot API key
+const requireApiKey = createApiKeyMiddleware({
+  store: dbStore,
+  required: CONFIG.AUTH.requireApiKeys
+});
+
+// Dashboard accounts and sessions; ADMIN_TOKEN also counts as an admin login
+const auth = createAuth({
+  store: dbStore,
+  sessionTtl: CONFIG.AUTH.sessionTtl,
+  adminToken: CONFIG.AUTH.adminToken
+});
+
+const requireAdmin = auth.requireRole('admin');
+const requireDashboard = auth.requireRole('admin', 'viewer');
+
+// Ingestion goes to the API key's project; without a key (REQUIRE_API_KEYS=false)
+// to the X-Project-Id header or the default project
+const resolveIngestProject = (req, res, next) => {
+  const id = req.apiKey ? projects.keyProject(req.apiKey) : (req.get('x-project-id') || projects.DEFAULT_PROJECT);
+  const project = getOwn(dbStore.get().projects, id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  req.project = project;
+  next();
+};
+
+// Dashboard reads use ?project= or X-Project-Id, the default project otherwise
+const resolveProject = (req, res, next) => {
+  const id = req.query.project || req.get('x-project-id') || projects.DEFAULT_PROJECT;
+  const project = getOwn(dbStore.get().projects, id);
+  if (!project) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  if (!projects.canAccessProject(req.account, id)) {
+    return res.status(403).json({ error: 'No access to this project' });
+  }
+  req.project = project;
+  next();
+};
+
+const requireIngest = [requireApiKey, resolveIngestProject];
+const projectViewer = [requireDashboard, resolveProject];
+const projectAdmin = [requireAdmin, resolveProject];
+
+// The request's project data; mutations skip a project deleted in the meantime
+const projectData = (req) => dbStore.get().projectData[req.project.id];
+
+const updateProject = (req, mutator) => dbStore.update((root) => {
+  const db = root.projectData[req.project.id];
+  return db ? mutator(db) : null;
+});
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20
+});
+
+// Viewers see aggregates only, never WhatsApp user IDs or IP addresses
+const canSeePersonalData = (req) => req.account && req.account.role === 'admin';
+
+const redactInstance = ({ ipAddress, userId, ...instance }) => instance;
+
+const instanceView = (instance, now) => ({
+  ...instance,
+  isActive: isInstanceActive(instance, now),
+  uptime: now - instance.firstSeen
+});
+
+// Validation rules shared by the single-event routes and /api/batch
+// Ids and names sent by bots become keys in the state
+const notReserved = value => !isReservedKey(value);
+const keyField = (field, optional = false) => {
+  const chain = optional ? body(field).optional().isString() : body(field).isString().notEmpty();
+  return chain.custom(notReserved).withMessage(`${field} is a reserved name`);
+};
+
+// Fields an event type is counted under
+const requiredFor = (eventType, field) => body(field)
+  .if(body('eventType').equals(eventType))
+  .notEmpty().withMessage(`${field} is required for ${eventType} events`);
+
+const heartbeatRules = [
+  keyField('instanceId')
+];
+
+const trackRules = [
+  keyField('instanceId'),
+  keyField('userId'),
+  body('messageId').optional().isString(),
+  keyField('messageType', true),
+  body('eventType').optional().isString(),
+  keyField('groupId', true),
+  keyField('action', true),
+  keyField('reaction', true),
+  keyField('status', true),
+  requiredFor('message_reaction', 'reaction'),
+  requiredFor('status_update', 'status')
+];
+
+const BATCH_EVENT_TYPES = ['message', 'message_reaction', 'group_update', 'status_update', 'heartbeat'];
+
+// Run express-validator chains against a single batch item
+const validateItem = async (rules, item) => {
+  const itemReq = { body: item };
+  await Promise.all(rules.map(rule => rule.run(itemReq)));
+  return validationResult(itemReq).array();
+};
+
 // Request logging middleware
 app.use((req, res, next) => {
   console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
   next();
 });
 
+// Count server errors in the 'errors' time series of the request's project
+app.use((req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 500 && req.project) {
+      updateProject(req, db => timeseries.recordMetric(db, 'errors')).catch(() => {});
+    }
+  });
+  next();
+});
+
 // Enhanced connection tracking with persistent instance IDs
 app.post('/api/connect', 
+  requireIngest,
   [
-    body('userId').isString().notEmpty(),
-    body('userAgent').optional().isString(),
-    body('instanceId').optional().isString()
+    keyField('userId'),
+    keyField('userAgent', true),
+    keyField('instanceId', true)
   ],
-  async (req, res) => {
+  asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -244,85 +581,100 @@ app.post('/api/connect',
 
     const { userId, userAgent = 'Unknown' } = req.body;
     const ip = req.ip;
+    const owner = req.apiKey ? req.apiKey.owner : null;
+    const apiKeyId = req.apiKey ? req.apiKey.id : null;
     const now = Date.now();
     const today = getDailyKey();
 
-    const db = await loadDB();
-    const instanceStorage = await loadInstanceStorage();
-    
-    // Try to find existing instance ID for this user
-    let instanceId = req.body.instanceId;
-    if (!instanceId && instanceStorage[userId]) {
-      instanceId = instanceStorage[userId];
-    }
-
-    // If no existing ID or it's not in DB, generate new one
-    if (!instanceId || !db.instances[instanceId]) {
-      instanceId = `marxbot_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
-      instanceStorage[userId] = instanceId;
-      await saveInstanceStorage(instanceStorage);
-    }
-
-    // Instance management
-    if (!db.instances[instanceId]) {
-      db.instances[instanceId] = {
-        id: instanceId,
-        firstSeen: now,
-        lastActive: now,
-        lastHeartbeat: now,
-        status: 'connected',
-        userAgent,
-        ipAddress: ip,
-        userId,
-        connectionCount: 1,
-        lastDisconnect: null,
-        systemInfo: null
-      };
-      db.statistics.totalConnections += 1;
-    } else {
-      // Update existing instance
-      const wasDisconnected = db.instances[instanceId].status === 'disconnected';
-      db.instances[instanceId].lastActive = now;
-      db.instances[instanceId].lastHeartbeat = now;
-      db.instances[instanceId].status = 'connected';
-      db.instances[instanceId].connectionCount += 1;
-      
-      if (wasDisconnected) {
-        db.statistics.reconnections += 1;
+    const instanceId = await updateProject(req, (db) => {
+      // Try to find existing instance ID for this user
+      let instanceId = req.body.instanceId;
+      if (!instanceId && db.instanceIds[userId]) {
+        instanceId = db.instanceIds[userId];
       }
-    }
 
-    // User management
-    if (!db.users[userId]) {
-      db.users[userId] = {
-        id: userId,
-        firstSeen: now,
-        lastActive: now,
-        instances: [instanceId],
-        totalMessages: 0,
-        totalReactions: 0
-      };
-    } else if (!db.users[userId].instances.includes(instanceId)) {
-      db.users[userId].instances.push(instanceId);
-    }
+      // If no existing ID or it's not in DB, generate new one
+      if (!instanceId || !db.instances[instanceId]) {
+        instanceId = `marxbot_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+        db.instanceIds[userId] = instanceId;
+      }
 
-    // Statistics
-    db.statistics.userAgents[userAgent] = (db.statistics.userAgents[userAgent] || 0) + 1;
-    db.statistics.dailyActive[today] = (db.statistics.dailyActive[today] || 0) + 1;
-    
-    updateConnectionStats(db, now);
+      // Instance management
+      if (!db.instances[instanceId]) {
+        db.instances[instanceId] = {
+          id: instanceId,
+          firstSeen: now,
+          lastActive: now,
+          lastHeartbeat: now,
+          status: 'connected',
+          userAgent,
+          ipAddress: ip,
+          userId,
+          owner,
+          apiKeyId,
+          connectionCount: 1,
+          lastDisconnect: null,
+          systemInfo: null
+        };
+        db.statistics.totalConnections += 1;
+        sessions.openSession(db, instanceId, now, CONFIG.SESSIONS);
+      } else {
+        // Before lastActive moves, so an unclosed session ends at the old value
+        sessions.openSession(db, instanceId, now, CONFIG.SESSIONS);
+
+        // Update existing instance
+        const wasDisconnected = db.instances[instanceId].status === 'disconnected';
+        db.instances[instanceId].lastActive = now;
+        db.instances[instanceId].lastHeartbeat = now;
+        db.instances[instanceId].status = 'connected';
+        db.instances[instanceId].connectionCount += 1;
+        if (apiKeyId) {
+          db.instances[instanceId].owner = owner;
+          db.instances[instanceId].apiKeyId = apiKeyId;
+        }
+
+        if (wasDisconnected) {
+          db.statistics.reconnections += 1;
+        }
+      }
+
+      // User management
+      if (!db.users[userId]) {
+        db.users[userId] = {
+          id: userId,
+          firstSeen: now,
+          lastActive: now,
+          instances: [instanceId],
+          totalMessages: 0,
+          totalReactions: 0,
+          messageTypes: {},
+          reactions: {}
+        };
+      } else if (!db.users[userId].instances.includes(instanceId)) {
+        db.users[userId].instances.push(instanceId);
+      }
+
+      // Statistics
+      db.statistics.userAgents[userAgent] = (db.statistics.userAgents[userAgent] || 0) + 1;
+      db.statistics.dailyActive[today] = (db.statistics.dailyActive[today] || 0) + 1;
+      activity.recordActivity(db, userId, now);
+
+      updateConnectionStats(db, now);
+      timeseries.recordMetric(db, 'connections', now);
+      dbStore.recordEvent({ projectId: req.project.id, type: 'connect', instanceId, userId, timestamp: now, userAgent });
+
+      return instanceId;
+    });
 
-    await saveDB(db);
     res.json({ success: true, instanceId });
-  }
+  })
 );
 
 // Heartbeat endpoint
 app.post('/api/heartbeat', 
-  [
-    body('instanceId').isString().notEmpty()
-  ],
-  async (req, res) => {
+  requireIngest,
+  heartbeatRules,
+  asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -331,26 +683,22 @@ app.post('/api/heartbeat',
     const { instanceId } = req.body;
     const now = Date.now();
 
-    const db = await loadDB();
-    
-    if (db.instances[instanceId]) {
-      db.instances[instanceId].lastHeartbeat = now;
-      db.instances[instanceId].lastActive = now;
-      db.statistics.heartbeats = (db.statistics.heartbeats || 0) + 1;
-      await saveDB(db);
-    }
+    await updateProject(req, (db) => {
+      applyHeartbeat(db, instanceId, now);
+    });
 
     res.json({ success: true });
-  }
+  })
 );
 
 // Enhanced disconnection tracking
 app.post('/api/disconnect', 
+  requireIngest,
   [
-    body('instanceId').isString().notEmpty(),
+    keyField('instanceId'),
     body('reason').optional().isString()
   ],
-  async (req, res) => {
+  asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
@@ -360,172 +708,483 @@ app.post('/api/disconnect',
     const now = Date.now();
     const today = getDailyKey();
 
-    const db = await loadDB();
-    
-    if (db.instances[instanceId]) {
-      db.instances[instanceId].status = 'disconnected';
-      db.instances[instanceId].lastActive = now;
-      db.instances[instanceId].lastDisconnect = {
-        timestamp: now,
-        reason
-      };
-      db.statistics.disconnections += 1;
-      db.statistics.dailyDisconnections[today] = (db.statistics.dailyDisconnections[today] || 0) + 1;
-      updateConnectionStats(db, now);
-    }
+    await updateProject(req, (db) => {
+      if (db.instances[instanceId]) {
+        sessions.closeSession(db, instanceId, now, reason, CONFIG.SESSIONS);
+        db.instances[instanceId].status = 'disconnected';
+        db.instances[instanceId].lastActive = now;
+        db.instances[instanceId].lastDisconnect = {
+          timestamp: now,
+          reason
+        };
+        db.statistics.disconnections += 1;
+        db.statistics.dailyDisconnections[today] = (db.statistics.dailyDisconnections[today] || 0) + 1;
+        updateConnectionStats(db, now);
+        timeseries.recordMetric(db, 'disconnections', now);
+        streamHub.publish('new_error', {
+          instanceId,
+          errorType: 'disconnection',
+          message: `Disconnected: ${reason}`,
+          timestamp: now
+        }, { topic: req.project.id });
+        dbStore.recordEvent({
+          projectId: req.project.id,
+          type: 'disconnect',
+          instanceId,
+          userId: db.instances[instanceId].userId,
+          timestamp: now,
+          reason
+        });
+      }
+    });
 
-    await saveDB(db);
     res.json({ success: true });
-  }
+  })
 );
 
 // Enhanced message tracking
 app.post('/api/track', 
-  [
-    body('instanceId').isString().notEmpty(),
-    body('userId').isString().notEmpty(),
-    body('messageId').optional().isString(),
-    body('messageType').optional().isString(),
-    body('eventType').optional().isString()
-  ],
-  async (req, res) => {
+  requireIngest,
+  trackRules,
+  asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { instanceId, userId, messageId, messageType, eventType } = req.body;
     const now = Date.now();
 
-    const db = await loadDB();
-    
-    // Update user activity
-    if (!db.users[userId]) {
-      db.users[userId] = {
-        id: userId,
-        firstSeen: now,
-        lastActive: now,
-        instances: [instanceId],
-        totalMessages: 0,
-        totalReactions: 0
-      };
-    } else {
-      db.users[userId].lastActive = now;
-      if (!db.users[userId].instances.includes(instanceId)) {
-        db.users[userId].instances.push(instanceId);
-      }
-    }
+    await updateProject(req, (db) => {
+      applyTrackEvent(db, req.body, now, req.project.id);
+    });
 
-    // Update instance activity
-    if (db.instances[instanceId]) {
-      db.instances[instanceId].lastActive = now;
-    }
+    res.json({ success: true });
+  })
+);
 
-    // Handle different event types
-    if (eventType === 'message') {
-      db.statistics.totalMessages += 1;
-      db.users[userId].totalMessages += 1;
-      
-      if (messageType) {
-        db.statistics.messageTypes[messageType] = (db.statistics.messageTypes[messageType] || 0) + 1;
-      }
-    } 
-    else if (eventType === 'group_update') {
-      const { action, groupId } = req.body;
-      const key = `${action}_${groupId}`;
-      db.statistics.groupEvents[key] = (db.statistics.groupEvents[key] || 0) + 1;
-    }
-    else if (eventType === 'status_update') {
-      const { status } = req.body;
-      db.statistics.statusUpdates[status] = (db.statistics.statusUpdates[status] || 0) + 1;
-    }
-    else if (eventType === 'message_reaction') {
-      const { reaction } = req.body;
-      db.statistics.messageReactions[reaction] = (db.statistics.messageReactions[reaction] || 0) + 1;
-      db.users[userId].totalReactions += 1;
-    }
-    else if (eventType === 'heartbeat') {
-      if (db.instances[instanceId]) {
-        db.instances[instanceId].lastHeartbeat = now;
-        db.statistics.heartbeats = (db.statistics.heartbeats || 0) + 1;
-      }
+const projectExists = id => Boolean(getOwn(dbStore.get().projects, id));
+
+// API key management
+app.post('/api/keys',
+  requireAdmin,
+  [
+    body('owner').isString().trim().notEmpty(),
+    body('label').optional().isString(),
+    body('projectId').optional().isString().custom(projectExists).withMessage('Unknown project')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    await saveDB(db);
-    res.json({ success: true });
-  }
+    const { key, record } = generateApiKey({
+      owner: req.body.owner,
+      label: req.body.label,
+      projectId: req.body.projectId || projects.DEFAULT_PROJECT
+    });
+    await dbStore.update((db) => {
+      db.apiKeys[record.id] = record;
+    });
+
+    // The plain key is only ever shown in this response
+    res.status(201).json({ success: true, key, apiKey: publicKeyRecord(record) });
+  })
 );
 
-// System info endpoint
-app.post('/api/system-info', 
+// All keys, or one project's with ?project=
+app.get('/api/keys', requireAdmin, (req, res) => {
+  const keys = Object.values(dbStore.get().apiKeys)
+    .map(key => ({ ...publicKeyRecord(key), projectId: projects.keyProject(key) }))
+    .filter(key => !req.query.project || key.projectId === req.query.project)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ keys, total: keys.length });
+});
+
+app.delete('/api/keys/:id', requireAdmin, asyncHandler(async (req, res) => {
+  const record = await dbStore.update((db) => {
+    const key = getOwn(db.apiKeys, req.params.id);
+    if (key && !key.revokedAt) key.revokedAt = Date.now();
+    return key;
+  });
+
+  if (!record) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json({ success: true, apiKey: publicKeyRecord(record) });
+}));
+
+// Dashboard login
+app.post('/api/auth/login',
+  loginLimiter,
   [
-    body('instanceId').isString().notEmpty(),
-    body('systemInfo').isObject()
+    body('username').isString().notEmpty(),
+    body('password').isString().notEmpty()
   ],
-  async (req, res) => {
+  asyncHandler(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { instanceId, systemInfo } = req.body;
-    const now = Date.now();
-
-    const db = await loadDB();
-    
-    if (db.instances[instanceId]) {
-      db.instances[instanceId].systemInfo = systemInfo;
-      db.instances[instanceId].lastHeartbeat = now;
-      db.statistics.systemInfo[instanceId] = {
-        ...systemInfo,
-        lastUpdated: now
-      };
+    const session = await auth.login(req.body.username, req.body.password);
+    if (!session) {
+      await logError(`Failed login for "${req.body.username}"`, req.ip);
+      return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    await saveDB(db);
-    res.json({ success: true });
-  }
+    auth.setSessionCookie(req, res, session.token, session.expiresAt);
+    res.json({
+      success: true,
+      token: session.token,
+      expiresAt: session.expiresAt,
+      account: session.account
+    });
+  })
 );
 
-// Error tracking endpoint
-app.get('/api/errors', async (req, res) => {
-  try {
-    const db = await loadDB();
-    const errors = [];
-    
-    // Get disconnection errors from instances
-    Object.values(db.instances).forEach(instance => {
-      if (instance.lastDisconnect) {
-        errors.push({
-          instanceId: instance.id,
-          errorType: 'disconnection',
-          message: `Disconnected: ${instance.lastDisconnect.reason}`,
-          timestamp: instance.lastDisconnect.timestamp
-        });
-      }
-    });
+app.post('/api/auth/logout', asyncHandler(async (req, res) => {
+  await auth.logout(req);
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+}));
 
-    // Get system errors from statistics
-    Object.entries(db.statistics.errors || {}).forEach(([errorType, count]) => {
-      errors.push({
-        instanceId: 'system',
-        errorType,
-        message: `Error occurred ${count} time(s)`,
-        timestamp: Date.now() - Math.random() * 86400000 // Random recent time
-      });
-    });
+app.get('/api/auth/me', requireDashboard, (req, res) => {
+  res.json({ account: req.account });
+});
+
+// Effective configuration without secrets; the dashboard takes its thresholds from here
+app.get('/api/config', requireDashboard, (req, res) => {
+  res.json(publicConfig(CONFIG));
+});
+
+// Dashboard account management
+app.get('/api/accounts', requireAdmin, (req, res) => {
+  const accounts = Object.values(dbStore.get().accounts)
+    .map(({ passwordHash, ...account }) => account);
+  res.json({ accounts, total: accounts.length });
+});
+
+app.post('/api/accounts',
+  requireAdmin,
+  [
+    body('username').isString().trim().isLength({ min: 3, max: 64 })
+      .custom(notReserved).withMessage('username is a reserved name'),
+    body('password').isString().isLength({ min: 8 }),
+    body('role').optional().isIn(ROLES),
+    body('projects').optional().isArray(),
+    body('projects.*').isString().custom(projectExists).withMessage('Unknown project')
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Without `projects` the account can see every project
+    const { username, password, role = 'viewer', projects: allowed = null } = req.body;
+    const account = await auth.createAccount({ username, password, role, projects: allowed });
+    if (!account) {
+      return res.status(409).json({ error: 'Account already exists' });
+    }
+    res.status(201).json({ success: true, account });
+  })
+);
 
-    res.json(errors.sort((a,b) => b.timestamp - a.timestamp).slice(0, 50));
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+app.delete('/api/accounts/:username', requireAdmin, asyncHandler(async (req, res) => {
+  if (req.params.username === req.account.username) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
   }
+  const deleted = await auth.deleteAccount(req.params.username);
+  if (!deleted) {
+    return res.status(404).json({ error: 'Account not found' });
+  }
+  res.json({ success: true });
+}));
+
+// Projects the caller can see, with headline numbers for each
+app.get('/api/projects', requireDashboard, (req, res) => {
+  const db = dbStore.get();
+  const now = Date.now();
+  const list = Object.values(db.projects)
+    .filter(project => projects.canAccessProject(req.account, project.id))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .map(project => ({ ...project, stats: summarizeStats(db.projectData[project.id], now) }));
+  res.json({ projects: list, total: list.length });
 });
 
-// Enhanced statistics endpoint
-app.get('/api/stats', async (req, res) => {
-  const db = await loadDB();
+app.get('/api/projects/:id', requireDashboard, (req, res) => {
+  const db = dbStore.get();
+  const project = getOwn(db.projects, req.params.id);
+  if (!project || !projects.canAccessProject(req.account, project.id)) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  const data = db.projectData[project.id];
   const now = Date.now();
-  
+  res.json({
+    project,
+    stats: summarizeStats(data, now),
+    engagement: activity.engagement(data, { days: 1, now }),
+    keys: Object.values(db.apiKeys).filter(key => projects.keyProject(key) === project.id && !key.revokedAt).length
+  });
+});
+
+app.post('/api/projects',
+  requireAdmin,
+  [
+    body('id').isString().matches(projects.PROJECT_ID_PATTERN)
+      .withMessage('id must be 1-40 lowercase letters, digits or dashes')
+      .custom(notReserved).withMessage('id is a reserved name'),
+    body('name').optional().isString().trim().isLength({ max: 100 }),
+    body('description').optional().isString().isLength({ max: 500 })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const project = await dbStore.update(db => projects.createProject(db, req.body, initialProjectData, Date.now()));
+    if (!project) {
+      return res.status(409).json({ error: 'Project already exists' });
+    }
+    res.status(201).json({ success: true, project });
+  })
+);
+
+// Deletes the project's analytics and revokes its keys
+app.delete('/api/projects/:id', requireAdmin, asyncHandler(async (req, res) => {
+  if (req.params.id === projects.DEFAULT_PROJECT) {
+    return res.status(400).json({ error: 'The default project cannot be deleted' });
+  }
+  const deleted = await dbStore.update(db => projects.deleteProject(db, req.params.id, Date.now()));
+  if (!deleted) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+  // A project created later with the same id must not inherit this one's event history
+  const removedEvents = await dbStore.pruneEvents({ projectId: req.params.id });
+  latency.drop(req.params.id);
+  res.json({ success: true, removedEvents });
+}));
+
+// Batch ingestion - many track events in one request and one write
+app.post('/api/batch',
+  requireIngest,
+  [
+    body('events').isArray({ min: 1, max: CONFIG.BATCH.maxEvents })
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { events } = req.body;
+    const results = await Promise.all(events.map(async (item, index) => {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { index, success: false, errors: [{ msg: 'Event must be an object' }] };
+      }
+      if (!BATCH_EVENT_TYPES.includes(item.eventType)) {
+        return {
+          index,
+          success: false,
+          errors: [{ msg: `eventType must be one of ${BATCH_EVENT_TYPES.join(', ')}`, path: 'eventType' }]
+        };
+      }
+
+      const rules = item.eventType === 'heartbeat' ? heartbeatRules : trackRules;
+      const itemErrors = await validateItem(rules, item);
+      return itemErrors.length
+        ? { index, success: false, errors: itemErrors }
+        : { index, success: true };
+    }));
+
+    // Apply every valid item in one mutation so they land in one save
+    const now = Date.now();
+    await updateProject(req, (db) => {
+      results.filter(r => r.success).forEach(({ index }) => {
+        const item = events[index];
+        if (item.eventType === 'heartbeat') {
+          applyHeartbeat(db, item.instanceId, now);
+        } else {
+          applyTrackEvent(db, item, now, req.project.id);
+        }
+      });
+    });
+
+    const processed = results.filter(r => r.success).length;
+    res.json({
+      success: processed === results.length,
+      processed,
+      failed: results.length - processed,
+      results
+    });
+  })
+);
+
+// System info endpoint
+app.post('/api/system-info', 
+  requireIngest,
+  [
+    keyField('instanceId'),
+    body('systemInfo').isObject()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { instanceId, systemInfo } = req.body;
+    const now = Date.now();
+
+    await updateProject(req, (db) => {
+      if (db.instances[instanceId]) {
+        db.instances[instanceId].systemInfo = systemInfo;
+        db.instances[instanceId].lastHeartbeat = now;
+        db.statistics.systemInfo[instanceId] = {
+          ...systemInfo,
+          lastUpdated: now
+        };
+        resources.recordSystemInfo(db, instanceId, systemInfo, now, CONFIG.SYSTEM_INFO);
+      }
+    });
+
+    res.json({ success: true });
+  })
+);
+
+// Error reports from bots
+app.post('/api/error',
+  requireIngest,
+  [
+    keyField('instanceId'),
+    body('type').isString().trim().notEmpty().isLength({ max: 100 })
+      .custom(notReserved).withMessage('type is a reserved name'),
+    body('message').isString().isLength({ max: CONFIG.ERRORS.maxMessageLength }),
+    body('stack').optional().isString(),
+    body('context').optional().isObject()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { instanceId, type, message, context } = req.body;
+    const stack = req.body.stack ? req.body.stack.substring(0, CONFIG.ERRORS.maxStackLength) : undefined;
+    const now = Date.now();
+
+    const group = await updateProject(req, (db) => {
+      const report = { instanceId, type, message, stack, context };
+      const errorGroup = errorReports.recordErrorGroup(db, report, now, { maxGroups: CONFIG.ERRORS.maxGroups });
+
+      db.statistics.errors[type] = (db.statistics.errors[type] || 0) + 1;
+      timeseries.recordMetric(db, 'errors', now);
+      dbStore.recordEvent({
+        projectId: req.project.id,
+        type: 'error',
+        instanceId,
+        userId: db.instances[instanceId] ? db.instances[instanceId].userId : null,
+        timestamp: now,
+        errorType: type,
+        message,
+        stack,
+        context,
+        fingerprint: errorGroup.fingerprint
+      });
+      return errorGroup;
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    streamHub.publish('new_error', {
+      instanceId,
+      errorType: type,
+      message,
+      fingerprint: group.fingerprint,
+      timestamp: now
+    }, { topic: req.project.id });
+
+    res.json({ success: true, fingerprint: group.fingerprint, count: group.count });
+  })
+);
+
+// Error log: individual reports (and disconnections) plus fingerprint groups
+app.get('/api/errors',
+  projectViewer,
+  [
+    query('instanceId').optional().isString(),
+    query('type').optional().isString(),
+    query('from').optional().custom(value => !isNaN(parseTime(value))),
+    query('to').optional().custom(value => !isNaN(parseTime(value))),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { instanceId, type } = req.query;
+    const from = req.query.from ? parseTime(req.query.from) : undefined;
+    const to = req.query.to ? parseTime(req.query.to) : undefined;
+    const limit = req.query.limit || 50;
+
+    let types = ['error', 'disconnect'];
+    if (type === 'disconnection') types = ['disconnect'];
+    else if (type) types = ['error'];
+
+    const records = await dbStore.queryEvents({
+      projectId: req.project.id,
+      types,
+      errorType: type && type !== 'disconnection' ? type : undefined,
+      instanceId,
+      from,
+      to,
+      limit
+    });
+
+    const events = records
+      .map(event => event.type === 'disconnect'
+        ? {
+          instanceId: event.instanceId,
+          errorType: 'disconnection',
+          message: `Disconnected: ${event.reason}`,
+          timestamp: event.timestamp
+        }
+        : {
+          instanceId: event.instanceId,
+          errorType: event.errorType,
+          message: event.message,
+          stack: event.stack,
+          context: event.context,
+          fingerprint: event.fingerprint,
+          timestamp: event.timestamp
+        })
+      .reverse();
+
+    const groups = Object.values(projectData(req).errorGroups)
+      .filter(group => !type || group.type === type)
+      .filter(group => !instanceId || group.instances[instanceId])
+      .filter(group => !from || group.lastSeen >= from)
+      .filter(group => !to || group.firstSeen <= to)
+      .sort((a, b) => b.lastSeen - a.lastSeen)
+      .slice(0, limit);
+
+    res.json({ events, groups });
+  })
+);
+
+// Enhanced statistics endpoint
+app.get('/api/stats', projectViewer, asyncHandler(async (req, res) => {
+  const db = projectData(req);
+  const now = Date.now();
+  const latencySummary = latency.summary(req.project.id);
+  
   const activeInstances = Object.values(db.instances).filter(i => 
     i.status === 'connected' && 
     (now - i.lastActive) < CONFIG.TIMEOUTS.concurrent &&
@@ -546,93 +1205,814 @@ app.get('/api/stats', async (req, res) => {
     activeUsers: Object.values(db.users).filter(u => 
       (now - u.lastActive) < CONFIG.TIMEOUTS.concurrent
     ).length,
+    // Distinct users per day/week/month, with 30 days of history
+    engagement: activity.engagement(db, { now }),
     statistics: db.statistics,
     connectionHealth: {
       uptime: process.uptime(),
-      avgResponseTime: calculateAvgResponseTime(db),
+      avgResponseTime: latencySummary.avg,
+      responseTimePercentiles: {
+        p50: latencySummary.p50,
+        p95: latencySummary.p95,
+        p99: latencySummary.p99
+      },
+      requestsByStatus: latencySummary.statusCodes,
       errorRate: calculateErrorRate(db),
       recentDisconnects: inactiveInstances
         .filter(i => (now - i.lastActive) < CONFIG.TIMEOUTS.disconnected)
         .sort((a, b) => b.lastActive - a.lastActive)
         .slice(0, 5)
+        .map(i => canSeePersonalData(req) ? i : redactInstance(i))
     },
     lastUpdate: new Date().toISOString()
   });
+}));
+
+// Query parameters shared by the list endpoints
+const listRules = (sortFields) => [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: CONFIG.LISTS.maxLimit }).toInt(),
+  query('sort').optional().isIn(sortFields),
+  query('order').optional().isIn(['asc', 'desc']),
+  query('q').optional().isString(),
+  query('active').optional().isBoolean().toBoolean(),
+  query('activeFrom').optional().custom(value => !isNaN(parseTime(value))),
+  query('activeTo').optional().custom(value => !isNaN(parseTime(value)))
+];
+
+const INSTANCE_SORT_FIELDS = ['lastActive', 'firstSeen', 'lastHeartbeat', 'connectionCount', 'uptime', 'id', 'userAgent'];
+const USER_SORT_FIELDS = ['lastActive', 'firstSeen', 'totalMessages', 'totalReactions', 'id'];
+const GROUP_SORT_FIELDS = ['lastActive', 'firstSeen', 'messages', ...groups.CATEGORIES, 'instanceCount', 'id'];
+
+// Filtered and sorted instances for /api/instances (personal fields only for admins)
+const listInstances = (db, filters, { personal, now }) => {
+  const activeFrom = filters.activeFrom ? parseTime(filters.activeFrom) : undefined;
+  const activeTo = filters.activeTo ? parseTime(filters.activeTo) : undefined;
+
+  const instances = Object.values(db.instances)
+    .map(instance => instanceView(personal ? instance : redactInstance(instance), now))
+    .filter(i =>
+      (!filters.status || i.status === filters.status) &&
+      (filters.active === undefined || i.isActive === filters.active) &&
+      (!filters.userAgent || listing.matchesText(filters.userAgent, [i.userAgent])) &&
+      (!filters.userId || i.userId === filters.userId) &&
+      listing.inRange(i.lastActive, activeFrom, activeTo) &&
+      (!filters.q || listing.matchesText(filters.q, [i.id, i.userAgent, i.userId, i.owner, i.lastDisconnect && i.lastDisconnect.reason]))
+    );
+
+  return listing.sortItems(instances, filters.sort || 'lastActive', filters.order);
+};
+
+const listUsers = (db, filters, { now }) => {
+  const activeFrom = filters.activeFrom ? parseTime(filters.activeFrom) : undefined;
+  const activeTo = filters.activeTo ? parseTime(filters.activeTo) : undefined;
+
+  const users = Object.values(db.users)
+    .map(user => ({ ...user, isActive: (now - user.lastActive) < CONFIG.TIMEOUTS.concurrent }))
+    .filter(u =>
+      (filters.active === undefined || u.isActive === filters.active) &&
+      (!filters.instanceId || u.instances.includes(filters.instanceId)) &&
+      listing.inRange(u.lastActive, activeFrom, activeTo) &&
+      (!filters.q || listing.matchesText(filters.q, [u.id, ...u.instances]))
+    );
+
+  return listing.sortItems(users, filters.sort || 'lastActive', filters.order);
+};
+
+// Instance list with filters, sorting and paging
+app.get('/api/instances',
+  projectViewer,
+  [
+    ...listRules(INSTANCE_SORT_FIELDS),
+    query('status').optional().isIn(['connected', 'disconnected']),
+    query('userAgent').optional().isString(),
+    query('userId').optional().isString()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const now = Date.now();
+    const personal = canSeePersonalData(req);
+    // Viewers can't see userId, so they can't filter or search by it either
+    const filters = personal ? req.query : { ...req.query, userId: undefined };
+    const matched = listInstances(db, filters, { personal, now });
+    const { items, pagination } = listing.paginate(matched, {
+      page: req.query.page,
+      limit: req.query.limit || CONFIG.LISTS.defaultLimit
+    });
+
+    const all = Object.values(db.instances);
+    const active = all.filter(i => isInstanceActive(i, now)).length;
+    res.json({
+      instances: items,
+      pagination,
+      total: all.length,
+      active,
+      inactive: all.length - active
+    });
+  }
+);
+
+// Open session, summary and the latest `limit` closed sessions (newest first)
+const instanceSessions = (db, instance, now, limit) => {
+  const closed = db.sessions[instance.id] || [];
+  return {
+    current: instance.currentSession
+      ? { start: instance.currentSession.start, duration: now - instance.currentSession.start }
+      : null,
+    summary: sessions.summarizeSessions(closed, CONFIG.SESSIONS.flapThreshold),
+    sessions: closed.slice(-limit).reverse()
+  };
+};
+
+// Everything known about one instance, for debugging it after the fact
+app.get('/api/instances/:id',
+  projectViewer,
+  [
+    query('from').optional().custom(value => !isNaN(parseTime(value))),
+    query('to').optional().custom(value => !isNaN(parseTime(value)))
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const instance = getOwn(db.instances, req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const now = Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : now - CONFIG.SYSTEM_INFO.retention;
+    const to = req.query.to ? parseTime(req.query.to) : now;
+
+    const disconnects = await dbStore.queryEvents({ projectId: req.project.id, type: 'disconnect', instanceId: instance.id, limit: 50 });
+
+    res.json({
+      instance: instanceView(canSeePersonalData(req) ? instance : redactInstance(instance), now),
+      sessions: instanceSessions(db, instance, now, 50),
+      disconnects: disconnects
+        .map(({ timestamp, reason }) => ({ timestamp, reason }))
+        .reverse(),
+      systemInfo: (db.systemInfoHistory[instance.id] || [])
+        .filter(sample => sample.timestamp >= from && sample.timestamp <= to)
+    });
+  })
+);
+
+// CPU/memory per instance and across the fleet from system-info reports
+app.get('/api/resources',
+  projectViewer,
+  [
+    query('from').optional().custom(value => !isNaN(parseTime(value))),
+    query('to').optional().custom(value => !isNaN(parseTime(value))),
+    query('points').optional().isInt({ min: 1, max: 500 }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 60 * 60 * 1000;
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const db = projectData(req);
+    const now = Date.now();
+    const result = resources.aggregateResources(db, { from, to, points: req.query.points });
+    // Connection count and status for the load chart
+    result.instances.forEach((entry) => {
+      const instance = db.instances[entry.instanceId];
+      entry.isActive = instance ? isInstanceActive(instance, now) : false;
+      entry.connectionCount = instance ? instance.connectionCount : 0;
+    });
+    res.json(result);
+  }
+);
+
+// Connect/disconnect sessions of one instance, newest first
+app.get('/api/instances/:id/sessions',
+  projectViewer,
+  [
+    query('limit').optional().isInt({ min: 1, max: CONFIG.SESSIONS.maxPerInstance }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const instance = getOwn(db.instances, req.params.id);
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    res.json({
+      instanceId: instance.id,
+      ...instanceSessions(db, instance, Date.now(), req.query.limit || 50)
+    });
+  }
+);
+
+// Session-length distribution and flapping across the fleet
+app.get('/api/sessions/stats',
+  projectViewer,
+  [
+    query('from').optional().custom(value => !isNaN(parseTime(value))),
+    query('to').optional().custom(value => !isNaN(parseTime(value)))
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const to = req.query.to ? parseTime(req.query.to) : Date.now();
+    const from = req.query.from ? parseTime(req.query.from) : to - 7 * 24 * 60 * 60 * 1000;
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const stats = sessions.fleetSessionStats(projectData(req), {
+      from,
+      to,
+      flapThreshold: CONFIG.SESSIONS.flapThreshold
+    });
+    res.json({ from, to, ...stats });
+  }
+);
+
+// User list with filters, sorting and paging
+app.get('/api/users',
+  projectViewer,
+  [
+    ...listRules(USER_SORT_FIELDS),
+    query('instanceId').optional().isString()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const now = Date.now();
+    const all = Object.values(db.users);
+    const active = all.filter(u => (now - u.lastActive) < CONFIG.TIMEOUTS.concurrent).length;
+    const counts = { total: all.length, active, inactive: all.length - active };
+
+    // Viewers only get the counts
+    if (!canSeePersonalData(req)) {
+      return res.json({ users: [], ...counts });
+    }
+
+    const { items, pagination } = listing.paginate(listUsers(db, req.query, { now }), {
+      page: req.query.page,
+      limit: req.query.limit || CONFIG.LISTS.defaultLimit
+    });
+    res.json({ users: items, pagination, ...counts });
+  }
+);
+
+// One user: record, linked instances, breakdowns and activity timeline
+app.get('/api/users/:id',
+  projectAdmin,
+  [
+    query('from').optional().custom(value => !isNaN(parseTime(value))),
+    query('to').optional().custom(value => !isNaN(parseTime(value))),
+    query('limit').optional().isInt({ min: 1, max: 1000 }).toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const user = getOwn(db.users, req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const now = Date.now();
+    // Oldest first, the most recent `limit` events
+    const timeline = await dbStore.queryEvents({
+      projectId: req.project.id,
+      userId: user.id,
+      from: req.query.from ? parseTime(req.query.from) : undefined,
+      to: req.query.to ? parseTime(req.query.to) : undefined,
+      limit: req.query.limit || 100
+    });
+
+    res.json({
+      user: {
+        ...user,
+        messageTypes: user.messageTypes || {},
+        reactions: user.reactions || {},
+        isActive: (now - user.lastActive) < CONFIG.TIMEOUTS.concurrent
+      },
+      instances: user.instances
+        .filter(id => db.instances[id])
+        .map(id => instanceView(db.instances[id], now)),
+      timeline
+    });
+  })
+);
+
+const groupView = (group, now) => ({
+  ...group,
+  instanceCount: Object.keys(group.instances).length,
+  isActive: (now - group.lastActive) < CONFIG.TIMEOUTS.concurrent
 });
 
-// Enhanced instance details endpoint
-app.get('/api/instances', async (req, res) => {
-  const db = await loadDB();
-  const now = Date.now();
-  
-  const instances = Object.values(db.instances).map(instance => ({
-    ...instance,
-    isActive: instance.status === 'connected' && 
-              (now - instance.lastActive) < CONFIG.TIMEOUTS.concurrent &&
-              (now - (instance.lastHeartbeat || 0)) < CONFIG.TIMEOUTS.heartbeat,
-    uptime: now - instance.firstSeen
-  }));
-  
+// Group list with filters, sorting and paging
+app.get('/api/groups',
+  projectViewer,
+  [
+    ...listRules(GROUP_SORT_FIELDS),
+    query('instanceId').optional().isString()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const now = Date.now();
+    const filters = req.query;
+    const activeFrom = filters.activeFrom ? parseTime(filters.activeFrom) : undefined;
+    const activeTo = filters.activeTo ? parseTime(filters.activeTo) : undefined;
+
+    const all = Object.values(db.groups).map(group => groupView(group, now));
+    const matched = all.filter(g =>
+      (filters.active === undefined || g.isActive === filters.active) &&
+      (!filters.instanceId || g.instances[filters.instanceId]) &&
+      listing.inRange(g.lastActive, activeFrom, activeTo) &&
+      (!filters.q || listing.matchesText(filters.q, [g.id]))
+    );
+
+    const { items, pagination } = listing.paginate(
+      listing.sortItems(matched, filters.sort || 'lastActive', filters.order),
+      { page: filters.page, limit: filters.limit || CONFIG.LISTS.defaultLimit }
+    );
+    res.json({
+      groups: items,
+      pagination,
+      total: all.length,
+      active: all.filter(g => g.isActive).length
+    });
+  }
+);
+
+// One group: counts, the instances serving it and its recent events
+app.get('/api/groups/:id',
+  projectViewer,
+  [
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const db = projectData(req);
+    const group = getOwn(db.groups, req.params.id);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const now = Date.now();
+    const personal = canSeePersonalData(req);
+    const events = await dbStore.queryEvents({ projectId: req.project.id, groupId: group.id, limit: req.query.limit || 50 });
+
+    res.json({
+      group: groupView(group, now),
+      instances: Object.entries(group.instances)
+        .sort((a, b) => b[1] - a[1])
+        .map(([id, lastActiveInGroup]) => {
+          const instance = db.instances[id];
+          if (!instance) return { id, lastActiveInGroup, removed: true };
+          return {
+            ...instanceView(personal ? instance : redactInstance(instance), now),
+            lastActiveInGroup
+          };
+        }),
+      // Newest first; who did what is personal data
+      events: events.reverse().map(({ userId, ...event }) => (personal ? { ...event, userId } : event))
+    });
+  })
+);
+
+// Streaming CSV/NDJSON exports. List filters apply as on /api/instances and
+// /api/users (without paging); sessions take the instance filters, and
+// sessions and daily stats also take a from/to range.
+const { isoTime } = exporter;
+
+const EXPORTS = {
+  instances: {
+    rules: [
+      ...listRules(INSTANCE_SORT_FIELDS),
+      query('status').optional().isIn(['connected', 'disconnected']),
+      query('userAgent').optional().isString(),
+      query('userId').optional().isString()
+    ],
+    columns: personal => [
+      { name: 'id', value: i => i.id },
+      { name: 'status', value: i => i.status },
+      { name: 'isActive', value: i => i.isActive },
+      { name: 'userAgent', value: i => i.userAgent },
+      ...(personal ? [
+        { name: 'userId', value: i => i.userId },
+        { name: 'ipAddress', value: i => i.ipAddress }
+      ] : []),
+      { name: 'owner', value: i => i.owner },
+      { name: 'firstSeen', value: i => isoTime(i.firstSeen) },
+      { name: 'lastActive', value: i => isoTime(i.lastActive) },
+      { name: 'lastHeartbeat', value: i => isoTime(i.lastHeartbeat) },
+      { name: 'connectionCount', value: i => i.connectionCount },
+      { name: 'uptime', value: i => i.uptime },
+      { name: 'lastDisconnectAt', value: i => isoTime(i.lastDisconnect && i.lastDisconnect.timestamp) },
+      { name: 'lastDisconnectReason', value: i => i.lastDisconnect && i.lastDisconnect.reason }
+    ],
+    rows: (db, filters, { personal, now }) =>
+      listInstances(db, personal ? filters : { ...filters, userId: undefined }, { personal, now })
+  },
+
+  users: {
+    adminOnly: true,
+    rules: [
+      ...listRules(USER_SORT_FIELDS),
+      query('instanceId').optional().isString()
+    ],
+    columns: () => [
+      { name: 'id', value: u => u.id },
+      { name: 'firstSeen', value: u => isoTime(u.firstSeen) },
+      { name: 'lastActive', value: u => isoTime(u.lastActive) },
+      { name: 'isActive', value: u => u.isActive },
+      { name: 'totalMessages', value: u => u.totalMessages },
+      { name: 'totalReactions', value: u => u.totalReactions },
+      { name: 'instances', value: u => u.instances.join(';') }
+    ],
+    rows: (db, filters, { now }) => listUsers(db, filters, { now })
+  },
+
+  sessions: {
+    rules: [
+      ...listRules(INSTANCE_SORT_FIELDS),
+      query('status').optional().isIn(['connected', 'disconnected']),
+      query('userAgent').optional().isString(),
+      query('userId').optional().isString(),
+      query('from').optional().custom(value => !isNaN(parseTime(value))),
+      query('to').optional().custom(value => !isNaN(parseTime(value)))
+    ],
+    columns: () => [
+      { name: 'instanceId', value: s => s.instanceId },
+      { name: 'start', value: s => isoTime(s.start) },
+      { name: 'end', value: s => isoTime(s.end) },
+      { name: 'duration', value: s => s.duration },
+      { name: 'endReason', value: s => s.endReason }
+    ],
+    // Closed sessions ending in [from, to] of the matching instances
+    rows: function* (db, filters, { personal, now }) {
+      const from = filters.from ? parseTime(filters.from) : undefined;
+      const to = filters.to ? parseTime(filters.to) : undefined;
+      const instances = listInstances(db, personal ? filters : { ...filters, userId: undefined }, { personal, now });
+      for (const instance of instances) {
+        for (const session of db.sessions[instance.id] || []) {
+          if (listing.inRange(session.end, from, to)) yield { instanceId: instance.id, ...session };
+        }
+      }
+    }
+  },
+
+  daily: {
+    rules: [
+      query('from').optional().custom(value => !isNaN(parseTime(value))),
+      query('to').optional().custom(value => !isNaN(parseTime(value)))
+    ],
+    columns: () => [
+      { name: 'date', value: d => d.date },
+      ...timeseries.METRICS.map(metric => ({ name: metric, value: d => d[metric] })),
+      { name: 'connects', value: d => d.connects },
+      { name: 'dau', value: d => d.dau },
+      { name: 'wau', value: d => d.wau },
+      { name: 'mau', value: d => d.mau }
+    ],
+    // Every day any per-day data exists for, oldest first
+    rows: function* (db, filters) {
+      const from = filters.from ? activity.dayKey(parseTime(filters.from)) : undefined;
+      const to = filters.to ? activity.dayKey(parseTime(filters.to)) : undefined;
+      const metricsByDay = {};
+      Object.entries(db.timeseries.day).forEach(([start, bucket]) => {
+        metricsByDay[activity.dayKey(Number(start))] = bucket;
+      });
+
+      const dates = new Set([
+        ...Object.keys(metricsByDay),
+        ...Object.keys(db.statistics.dailyActive),
+        ...Object.keys(db.activity)
+      ]);
+      for (const date of [...dates].sort()) {
+        if (!listing.inRange(date, from, to)) continue;
+        const bucket = metricsByDay[date] || {};
+        const { dau, wau, mau } = activity.engagementOn(db, Date.parse(date));
+        const row = { date, connects: db.statistics.dailyActive[date] || 0, dau, wau, mau };
+        timeseries.METRICS.forEach((metric) => { row[metric] = bucket[metric] || 0; });
+        yield row;
+      }
+    }
+  }
+};
+
+Object.entries(EXPORTS).forEach(([name, definition]) => {
+  app.get(`/api/export/${name}`,
+    definition.adminOnly ? projectAdmin : projectViewer,
+    [
+      ...definition.rules,
+      query('format').optional().isIn(Object.keys(exporter.FORMATS))
+    ],
+    asyncHandler(async (req, res) => {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const personal = canSeePersonalData(req);
+      const format = req.query.format || 'csv';
+      try {
+        await exporter.streamExport(res, {
+          format,
+          filename: `marxbot-${name}-${getDailyKey()}`,
+          columns: definition.columns(personal),
+          rows: definition.rows(projectData(req), req.query, { personal, now: Date.now() })
+        });
+      } catch (e) {
+        await logError(`Export error: ${e.message}`, req.ip, e.stack);
+        if (!res.headersSent) res.status(500).json({ error: e.message });
+        else res.end();
+      }
+    })
+  );
+});
+
+// Retention by first-seen cohort
+app.get('/api/cohorts',
+  projectViewer,
+  [
+    query('period').optional().isIn(Object.keys(activity.PERIODS)),
+    query('periods').optional().isInt({ min: 1, max: 52 }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const period = req.query.period || 'week';
+    const periods = req.query.periods || 8;
+    res.json({
+      period,
+      cohorts: activity.buildCohorts(projectData(req), { period, periods })
+    });
+  }
+);
+
+// Alert rules, evaluated per project on a timer; transitions go to webhooks.
+// Error rate windows are summed from minute buckets, so they are capped at
+// the minute retention (rules saved before the cap are clamped to it).
+const MAX_ALERT_WINDOW = Math.floor(CONFIG.TIMESERIES.retention.minute / 60000);
+
+const alertManager = alerts.createAlertManager({
+  store: dbStore,
+  scopes: root => Object.entries(root.projectData),
+  defaultWebhooks: CONFIG.ALERTS.webhooks,
+  historyLimit: CONFIG.ALERTS.historyLimit,
+  onError: (e) => logError(`Alert error: ${e.message}`, 'SYSTEM', e.stack),
+  buildContext: (db, now) => ({
+    now,
+    instances: Object.values(db.instances),
+    health: getConnectionHealth(db, now),
+    errorRate: (minutes) => {
+      const range = { from: now - Math.min(minutes, MAX_ALERT_WINDOW) * 60 * 1000, to: now };
+      const errorCount = timeseries.sumTimeseries(db, { metric: 'errors', ...range });
+      const traffic = timeseries.sumTimeseries(db, { metric: 'messages', ...range }) +
+        timeseries.sumTimeseries(db, { metric: 'connections', ...range });
+      return traffic > 0 ? (errorCount / traffic) * 100 : 0;
+    }
+  })
+});
+
+setInterval(alertManager.evaluate, CONFIG.ALERTS.evaluateInterval).unref();
+
+app.get('/api/alerts',
+  projectViewer,
+  [
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt()
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { active, history } = projectData(req).alerts;
+    res.json({
+      active: Object.values(active).sort((a, b) => b.startedAt - a.startedAt),
+      history: history.slice(0, req.query.limit || 100)
+    });
+  }
+);
+
+app.get('/api/alerts/rules', projectViewer, (req, res) => {
+  const rules = Object.values(projectData(req).alertRules).sort((a, b) => a.createdAt - b.createdAt);
+  res.json({ rules, types: Object.keys(alerts.RULE_TYPES) });
+});
+
+app.post('/api/alerts/rules',
+  projectAdmin,
+  [
+    body('type').isString().notEmpty(),
+    body('name').optional().isString(),
+    body('params').isObject(),
+    body('webhooks').optional().isArray(),
+    body('enabled').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const problems = alerts.validateRule(req.body, { maxWindowMinutes: MAX_ALERT_WINDOW });
+    if (problems.length) {
+      return res.status(400).json({ errors: problems.map(msg => ({ msg })) });
+    }
+
+    const rule = alerts.createRule(req.body);
+    await updateProject(req, (db) => {
+      db.alertRules[rule.id] = rule;
+    });
+    res.status(201).json({ success: true, rule });
+  })
+);
+
+app.delete('/api/alerts/rules/:id', projectAdmin, asyncHandler(async (req, res) => {
+  const deleted = await updateProject(req, (db) => {
+    if (!getOwn(db.alertRules, req.params.id)) return false;
+    delete db.alertRules[req.params.id];
+    return true;
+  });
+
+  if (!deleted) {
+    return res.status(404).json({ error: 'Alert rule not found' });
+  }
+  // Alerts of the deleted rule resolve on the next evaluation
+  res.json({ success: true });
+}));
+
+// Run the rules now instead of waiting for the timer
+app.post('/api/alerts/evaluate', requireAdmin, asyncHandler(async (req, res) => {
+  const transitions = await alertManager.evaluate();
   res.json({
-    instances: instances.sort((a, b) => b.lastActive - a.lastActive),
-    total: instances.length,
-    active: instances.filter(i => i.isActive).length,
-    inactive: instances.filter(i => !i.isActive).length
+    success: transitions !== null,
+    transitions: (transitions || []).map(({ event, alert }) => ({ event, key: alert.key, message: alert.message }))
   });
-});
+}));
 
-// Enhanced user details endpoint
-app.get('/api/users', async (req, res) => {
-  const db = await loadDB();
+// Live dashboard updates over Server-Sent Events, one topic per project.
+// Last published stats and instance signatures, per project
+const lastStream = new Map();
+
+// Diff each watched project against the last tick and push only what changed
+const publishStreamUpdates = () => {
+  const root = dbStore.get();
   const now = Date.now();
-  
-  const users = Object.values(db.users).map(user => ({
-    ...user,
-    isActive: (now - user.lastActive) < CONFIG.TIMEOUTS.concurrent
-  }));
-  
-  res.json({
-    users: users.sort((a, b) => b.lastActive - a.lastActive),
-    total: users.length,
-    active: users.filter(u => u.isActive).length,
-    inactive: users.filter(u => !u.isActive).length
+  const watched = streamHub.topics();
+
+  lastStream.forEach((last, projectId) => {
+    if (!watched.has(projectId)) lastStream.delete(projectId);
+  });
+
+  watched.forEach((projectId) => {
+    const db = root.projectData[projectId];
+    if (!db) return;
+    const last = lastStream.get(projectId) || { stats: null, instances: new Map() };
+    const topic = projectId;
+
+    const stats = summarizeStats(db, now);
+    const delta = {};
+    Object.entries(stats).forEach(([key, value]) => {
+      if (!last.stats || last.stats[key] !== value) delta[key] = value;
+    });
+    if (Object.keys(delta).length) streamHub.publish('stats', delta, { topic });
+
+    const seen = new Map();
+    Object.values(db.instances).forEach((instance) => {
+      const view = instanceView(instance, now);
+      const signature = `${view.status}|${view.isActive}`;
+      seen.set(instance.id, signature);
+
+      const previous = last.instances.get(instance.id);
+      if (previous !== signature) {
+        streamHub.publish('instance', { change: previous ? 'updated' : 'added', instance: view }, {
+          topic,
+          redact: data => ({ ...data, instance: redactInstance(data.instance) })
+        });
+      }
+    });
+    last.instances.forEach((signature, id) => {
+      if (!seen.has(id)) streamHub.publish('instance', { change: 'removed', instance: { id } }, { topic });
+    });
+    lastStream.set(projectId, { stats, instances: seen });
+  });
+};
+
+setInterval(publishStreamUpdates, CONFIG.STREAM.interval).unref();
+
+app.get('/api/stream', projectViewer, (req, res) => {
+  const db = projectData(req);
+  const now = Date.now();
+  const personal = canSeePersonalData(req);
+
+  streamHub.addClient(req, res, {
+    personal,
+    topic: req.project.id,
+    initial: [{
+      event: 'snapshot',
+      data: {
+        stats: summarizeStats(db, now),
+        instances: Object.values(db.instances)
+          .map(instance => instanceView(instance, now))
+          .map(instance => personal ? instance : redactInstance(instance))
+      }
+    }]
   });
 });
 
+// Time-bucketed metrics for the dashboard charts
+app.get('/api/timeseries',
+  projectViewer,
+  [
+    query('metric').isString().custom(value =>
+      value.split(',').every(m => timeseries.METRICS.includes(m))
+    ).withMessage(`metric must be one or more of ${timeseries.METRICS.join(', ')}`),
+    query('from').optional().custom(value => !isNaN(parseTime(value))),
+    query('to').optional().custom(value => !isNaN(parseTime(value))),
+    query('interval').optional().isIn(Object.keys(timeseries.INTERVALS))
+  ],
+  (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const now = Date.now();
+    const to = req.query.to ? parseTime(req.query.to) : now;
+    const from = req.query.from ? parseTime(req.query.from) : to - 60 * 60 * 1000;
+    if (from > to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const interval = req.query.interval ||
+      timeseries.pickInterval(from, to, CONFIG.TIMESERIES.retention, now);
+    if ((to - from) / timeseries.INTERVALS[interval] > timeseries.MAX_POINTS) {
+      return res.status(400).json({ error: `Range too large for ${interval} buckets (max ${timeseries.MAX_POINTS} points)` });
+    }
+
+    const db = projectData(req);
+    const metrics = req.query.metric.split(',');
+    const series = {};
+    metrics.forEach((metric) => {
+      series[metric] = timeseries.queryTimeseries(db, { metric, from, to, interval });
+    });
+
+    res.json({ from, to, interval, series });
+  }
+);
+
+// Request latency percentiles, status codes and per-minute history
+app.get('/api/performance', projectViewer, (req, res) => {
+  res.json(latency.report(req.project.id));
+});
+
 // Connection health endpoint
-app.get('/api/connection-health', async (req, res) => {
-  const db = await loadDB();
+app.get('/api/connection-health', projectViewer, asyncHandler(async (req, res) => {
+  const db = projectData(req);
   const now = Date.now();
-  
-  const instances = Object.values(db.instances);
-  const activeInstances = instances.filter(i => 
-    i.status === 'connected' && 
-    (now - i.lastActive) < CONFIG.TIMEOUTS.concurrent &&
-    (now - (i.lastHeartbeat || 0)) < CONFIG.TIMEOUTS.heartbeat
-  );
-  
-  const inactiveInstances = instances.filter(i => 
-    i.status !== 'connected' || 
-    (now - i.lastActive) >= CONFIG.TIMEOUTS.concurrent ||
-    (now - (i.lastHeartbeat || 0)) >= CONFIG.TIMEOUTS.heartbeat
-  );
-  
-  const avgUptime = instances.reduce((sum, i) => {
-    return sum + (i.lastActive - i.firstSeen);
-  }, 0) / (instances.length || 1);
-  
-  const totalErrors = Object.values(db.statistics.errors).reduce((a, b) => a + b, 0);
-  const totalRequests = db.statistics.totalConnections + db.statistics.totalMessages;
-  const errorRate = totalRequests > 0 ? (totalErrors / totalRequests) * 100 : 0;
-  
-  // Determine health status
-  let healthStatus = 'healthy';
-  if (activeInstances.length === 0) {
-    healthStatus = 'critical';
-  } else if (inactiveInstances.length > activeInstances.length) {
-    healthStatus = 'degraded';
-  }
-  
+  const { activeInstances, inactiveInstances, avgUptime, errorRate, healthStatus } = getConnectionHealth(db, now);
+
   res.json({
     activeCount: activeInstances.length,
     inactiveCount: inactiveInstances.length,
@@ -641,10 +2021,11 @@ app.get('/api/connection-health', async (req, res) => {
     recentDisconnects: inactiveInstances
       .filter(i => (now - i.lastActive) < CONFIG.TIMEOUTS.disconnected)
       .sort((a, b) => b.lastActive - a.lastActive)
-      .slice(0, 5),
+      .slice(0, 5)
+      .map(i => canSeePersonalData(req) ? i : redactInstance(i)),
     healthStatus
   });
-});
+}));
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -653,13 +2034,243 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     dbStatus: 'connected',
+    storage: storage.name,
     memoryUsage: process.memoryUsage()
   });
 });
 
+// Backup management (admin)
+app.get('/api/backups', requireAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    backups: await backups.list(),
+    schedule: CONFIG.JOBS.backup,
+    retention: CONFIG.BACKUPS.retention,
+    lastMaintenance: dbStore.get().settings.lastMaintenance
+  });
+}));
+
+app.post('/api/backups', requireAdmin, asyncHandler(async (req, res) => {
+  res.status(201).json({ backup: await backups.snapshot('manual') });
+}));
+
+app.get('/api/backups/:name/download', requireAdmin, asyncHandler(async (req, res) => {
+  const file = backups.resolve(req.params.name);
+  if (!file) {
+    return res.status(400).json({ error: 'Invalid backup name' });
+  }
+  res.download(file, req.params.name, (e) => {
+    if (e && !res.headersSent) res.status(404).json({ error: 'Backup not found' });
+  });
+}));
+
+app.get('/api/backups/:name/verify', requireAdmin, asyncHandler(async (req, res) => {
+  const result = await backups.verify(req.params.name);
+  if (!result) {
+    return res.status(404).json({ error: 'Backup not found' });
+  }
+  const { data, ...report } = result;
+  res.json(report);
+}));
+
+// Restores keep the current accounts, logins and API keys unless includeAuth is set
+app.post('/api/backups/:name/restore',
+  requireAdmin,
+  [
+    body('includeAuth').optional().isBoolean()
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await backups.verify(req.params.name);
+    if (!result) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    if (!result.valid) {
+      return res.status(422).json({ error: 'Backup is not valid', problems: result.problems });
+    }
+
+    const restored = await backups.restore(result, { includeAuth: req.body.includeAuth === true });
+    console.log(`Restored backup ${restored.restored} (safety snapshot ${restored.safetySnapshot})`);
+    res.json({ success: true, ...restored });
+  })
+);
+
+// Maintenance jobs (admin)
+app.get('/api/jobs', requireAdmin, (req, res) => {
+  res.json({ jobs: scheduler.status() });
+});
+
+// Runs the job and responds when it finishes
+app.post('/api/jobs/:name/run', requireAdmin, asyncHandler(async (req, res) => {
+  if (!scheduler.has(req.params.name)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const run = await scheduler.run(req.params.name, 'manual');
+  if (!run) {
+    return res.status(409).json({ error: 'Job is already running' });
+  }
+  res.status(run.status === 'success' ? 200 : 500).json({ job: req.params.name, run });
+}));
+
+// Prometheus scrape endpoint; analytics families have a `project` label
+app.get('/metrics', metrics.requireBearerToken(CONFIG.METRICS.token), (req, res) => {
+  const now = Date.now();
+  const scoped = Object.entries(dbStore.get().projectData).map(([project, db]) => ({
+    project,
+    db,
+    stats: summarizeStats(db, now),
+    engagement: activity.engagement(db, { days: 1, now })
+  }));
+  const memory = process.memoryUsage();
+  const cpu = process.cpuUsage();
+
+  // latency.totals() is cumulative; the quantiles come from the rolling window
+  const routes = latency.report().routes;
+  const totals = latency.totals();
+  const routeLabels = (route) => {
+    const [method, ...rest] = route.split(' ');
+    return { method, route: rest.join(' ') };
+  };
+
+  // Families with one sample per project, or several from `samples(entry)`
+  const perProject = (name, type, help, value) => ({
+    name,
+    type,
+    help,
+    samples: scoped.map(entry => ({ labels: { project: entry.project }, value: value(entry) }))
+  });
+  const perProjectSamples = (name, type, help, samples) => ({
+    name,
+    type,
+    help,
+    samples: scoped.flatMap(entry => samples(entry)
+      .map(sample => ({ ...sample, labels: { project: entry.project, ...sample.labels } })))
+  });
+
+  const families = [
+    perProjectSamples('marxbot_instances', 'gauge', 'Instances by state (active = connected with a recent heartbeat)', ({ stats }) => [
+      { labels: { state: 'active' }, value: stats.activeInstances },
+      { labels: { state: 'inactive' }, value: stats.inactiveInstances }
+    ]),
+    perProject('marxbot_users', 'gauge', 'Known users', ({ stats }) => stats.totalUsers),
+    perProject('marxbot_users_active', 'gauge', 'Users active within the concurrency timeout', ({ stats }) => stats.activeUsers),
+    perProjectSamples('marxbot_unique_active_users', 'gauge', 'Distinct active users over the last day, week and month', ({ engagement }) => [
+      { labels: { window: 'day' }, value: engagement.dau },
+      { labels: { window: 'week' }, value: engagement.wau },
+      { labels: { window: 'month' }, value: engagement.mau }
+    ]),
+    perProject('marxbot_connections_total', 'counter', 'Instances ever connected', ({ stats }) => stats.totalConnections),
+    perProject('marxbot_connections_current', 'gauge', 'Instances currently connected', ({ db }) => db.statistics.currentConnections),
+    perProject('marxbot_disconnections_total', 'counter', 'Disconnects reported by bots', ({ stats }) => stats.disconnections),
+    perProject('marxbot_reconnections_total', 'counter', 'Connects of previously disconnected instances', ({ stats }) => stats.reconnections),
+    perProject('marxbot_heartbeats_total', 'counter', 'Heartbeats received', ({ stats }) => stats.heartbeats),
+    perProject('marxbot_messages_total', 'counter', 'Messages tracked', ({ stats }) => stats.totalMessages),
+    perProjectSamples('marxbot_messages_by_type_total', 'counter', 'Messages tracked by message type', ({ db }) =>
+      metrics.countSamples('type', db.statistics.messageTypes)),
+    perProject('marxbot_reactions_total', 'counter', 'Message reactions tracked', ({ db }) =>
+      Object.values(db.statistics.messageReactions).reduce((a, b) => a + b, 0)),
+    perProject('marxbot_alerts_firing', 'gauge', 'Alerts currently firing', ({ db }) => Object.keys(db.alerts.active).length),
+    {
+      name: 'marxbot_http_requests_total',
+      type: 'counter',
+      help: 'HTTP requests by route and status code',
+      samples: totals.flatMap(({ route, statusCodes }) => Object.entries(statusCodes)
+        .map(([status, value]) => ({ labels: { ...routeLabels(route), status }, value })))
+    },
+    {
+      name: 'marxbot_http_request_duration_seconds',
+      type: 'summary',
+      help: 'HTTP request latency by route (quantiles over the last 1000 requests)',
+      samples: [
+        ...routes.flatMap(({ route, p50, p95, p99 }) => [[0.5, p50], [0.95, p95], [0.99, p99]]
+          .map(([quantile, ms]) => ({ labels: { ...routeLabels(route), quantile }, value: ms / 1000 }))),
+        ...totals.flatMap(({ route, count, sum }) => [
+          { suffix: '_sum', labels: routeLabels(route), value: sum / 1000 },
+          { suffix: '_count', labels: routeLabels(route), value: count }
+        ])
+      ]
+    },
+    metrics.single('process_cpu_seconds_total', 'counter', 'User and system CPU time spent', (cpu.user + cpu.system) / 1e6),
+    metrics.single('process_resident_memory_bytes', 'gauge', 'Resident memory size', memory.rss),
+    metrics.single('process_start_time_seconds', 'gauge', 'Start time of the process since the epoch', Math.round(now / 1000 - process.uptime())),
+    metrics.single('process_uptime_seconds', 'gauge', 'Process uptime', process.uptime()),
+    {
+      name: 'nodejs_heap_bytes',
+      type: 'gauge',
+      help: 'V8 heap usage',
+      samples: [
+        { labels: { kind: 'used' }, value: memory.heapUsed },
+        { labels: { kind: 'total' }, value: memory.heapTotal }
+      ]
+    },
+    metrics.single('nodejs_external_memory_bytes', 'gauge', 'Memory of C++ objects bound to JavaScript', memory.external)
+  ];
+
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.send(metrics.formatMetrics(families));
+});
+
+// Anything a route throws ends up here instead of taking the process down
+app.use((err, req, res, next) => {
+  const status = err.status || 500;
+  // Client errors such as malformed JSON bodies aren't worth logging; server
+  // errors are, and their messages (paths, SQL) stay in the log
+  if (status >= 500) logError(`${req.method} ${req.path}: ${err.message}`, req.ip, err.stack);
+  if (res.headersSent) return next(err);
+  res.status(status).json({ error: status >= 500 ? 'Internal server error' : err.message });
+});
+
+// Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD
+const bootstrapAdmin = async () => {
+  if (Object.keys(dbStore.get().accounts).length > 0) return;
+
+  const { username, password } = CONFIG.AUTH.bootstrapAdmin;
+  if (!username || !password) {
+    console.warn('⚠️  No dashboard accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+    return;
+  }
+  await auth.createAccount({ username, password, role: 'admin' });
+  console.log(`Created admin account "${username}"`);
+};
+
+// An open /metrics shows every project's counts to anyone who can reach it
+const warnOpenMetrics = () => {
+  if (CONFIG.METRICS.token || Object.keys(dbStore.get().projects).length < 2) return;
+  console.warn('⚠️  METRICS_TOKEN is not set: /metrics exposes the counts of every project without authentication.');
+};
+
+// Flush pending writes before the process exits
+const shutdown = async (signal) => {
+  console.log(`${signal} received, flushing data...`);
+  streamHub.close();
+  scheduler.stop();
+  await dbStore.close();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
 // Start server
-app.listen(CONFIG.PORT, () => {
-  console.log(`✅ Server running at http://localhost:${CONFIG.PORT}`);
-  ensurePersistentData(); // Run initial maintenance
-  cleanupInactiveInstances(); // Initial cleanup
-});
\ No newline at end of file
+prepareStorage()
+  .then(() => dbStore.load())
+  .then(bootstrapAdmin)
+  .then(() => {
+    warnOpenMetrics();
+    dbStore.start();
+
+    app.listen(CONFIG.PORT, () => {
+      console.log(`✅ Server running at http://localhost:${CONFIG.PORT}`);
+      scheduler.start();
+      scheduler.run('backup', 'startup'); // Run initial maintenance
+      scheduler.run('cleanup', 'startup'); // Initial cleanup
+    });
+  })
+  .catch(async (e) => {
+    await logError(`Startup error: ${e.message}`, 'SYSTEM', e.stack);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,87 @@
+// Connect -> disconnect cycles per instance.
+// The open session lives on the instance (instance.currentSession), closed
+// ones in state.sessions[instanceId], oldest first and capped per instance.
+const DAY = 24 * 60 * 60 * 1000;
+
+const median = (values) => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const closeSession = (db, instanceId, end, reason, { maxPerInstance = 200 } = {}) => {
+  const instance = db.instances[instanceId];
+  if (!instance || !instance.currentSession) return null;
+
+  const { start } = instance.currentSession;
+  const session = { start, end, duration: Math.max(0, end - start), endReason: reason };
+  instance.currentSession = null;
+
+  const list = db.sessions[instanceId] || (db.sessions[instanceId] = []);
+  list.push(session);
+  list.splice(0, Math.max(0, list.length - maxPerInstance));
+  return session;
+};
+
+// Start a session; a still-open one was never disconnected cleanly, so it
+// ends at the instance's last sign of life
+const openSession = (db, instanceId, now, options) => {
+  const instance = db.instances[instanceId];
+  if (instance.currentSession) {
+    closeSession(db, instanceId, Math.max(instance.currentSession.start, instance.lastActive), 'lost', options);
+  }
+  instance.currentSession = { start: now };
+};
+
+const summarizeSessions = (sessions, flapThreshold) => {
+  const durations = sessions.map(s => s.duration);
+  return {
+    count: sessions.length,
+    medianDuration: median(durations),
+    avgDuration: durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : 0,
+    maxDuration: durations.length ? Math.max(...durations) : 0,
+    flaps: sessions.filter(s => s.duration < flapThreshold).length
+  };
+};
+
+// Fleet-wide distributions over sessions that ended within [from, to]
+const fleetSessionStats = (db, { from, to, flapThreshold }) => {
+  const sessions = [];
+  Object.entries(db.sessions).forEach(([instanceId, list]) => {
+    list.forEach((session) => {
+      if (session.end >= from && session.end <= to) sessions.push({ instanceId, ...session });
+    });
+  });
+
+  const endReasons = {};
+  const perDay = {};
+  const flapsByInstance = {};
+  sessions.forEach((session) => {
+    endReasons[session.endReason] = (endReasons[session.endReason] || 0) + 1;
+
+    const day = new Date(session.end).toISOString().split('T')[0];
+    const bucket = perDay[day] || (perDay[day] = { date: day, sessions: 0, flaps: 0 });
+    bucket.sessions += 1;
+    if (session.duration < flapThreshold) {
+      bucket.flaps += 1;
+      flapsByInstance[session.instanceId] = (flapsByInstance[session.instanceId] || 0) + 1;
+    }
+  });
+
+  const days = Math.max(1, (to - from) / DAY);
+  const summary = summarizeSessions(sessions, flapThreshold);
+  return {
+    ...summary,
+    flapsPerDay: summary.flaps / days,
+    flapThreshold,
+    endReasons,
+    daily: Object.values(perDay).sort((a, b) => a.date.localeCompare(b.date)),
+    topFlappers: Object.entries(flapsByInstance)
+      .map(([instanceId, flaps]) => ({ instanceId, flaps }))
+      .sort((a, b) => b.flaps - a.flaps)
+      .slice(0, 10)
+  };
+};
+
+module.exports = { openSession, closeSession, summarizeSessions, fleetSessionStats };
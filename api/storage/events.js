@@ -0,0 +1,27 @@
+const { DEFAULT_PROJECT } = require('../projects');
+
+// Shared event filtering so every backend answers queries the same way.
+// Filter: { projectId, type, types, errorType, instanceId, userId, groupId, from, to, limit }
+// Events logged before projects existed belong to the default project.
+const matchesEventFilter = (event, filter = {}) => {
+  if (filter.projectId && (event.projectId || DEFAULT_PROJECT) !== filter.projectId) return false;
+  if (filter.type && event.type !== filter.type) return false;
+  if (filter.types && !filter.types.includes(event.type)) return false;
+  if (filter.errorType && event.errorType !== filter.errorType) return false;
+  if (filter.instanceId && event.instanceId !== filter.instanceId) return false;
+  if (filter.userId && event.userId !== filter.userId) return false;
+  if (filter.groupId && event.groupId !== filter.groupId) return false;
+  if (filter.from && event.timestamp < filter.from) return false;
+  if (filter.to && event.timestamp > filter.to) return false;
+  return true;
+};
+
+// What pruneEvents removes: { before, projectId }, every given condition
+// must hold (events older than `before`, events of `projectId`). An empty
+// filter removes nothing.
+const matchesPruneFilter = (event, { before, projectId } = {}) =>
+  Boolean(before || projectId) &&
+  (!before || event.timestamp < before) &&
+  (!projectId || (event.projectId || DEFAULT_PROJECT) === projectId);
+
+module.exports = { matchesEventFilter, matchesPruneFilter };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { createJsonStorage } = require('./json');
+const { createSqliteStorage } = require('./sqlite');
+
+// Storage backends share one interface:
+//   load()                  -> full state object, or null when empty
+//   save(state, events)     -> persist the state and append new events atomically
+//   queryEvents(filter)     -> events matching { projectId, type, types, errorType, instanceId, userId, groupId, from, to, limit }
+//   pruneEvents(filter)     -> delete events matching { before, projectId }, resolves with the number removed
+//   close()
+const createStorage = (options) => {
+  switch (options.driver) {
+    case 'json':
+      return createJsonStorage(options.json);
+    case 'sqlite':
+      return createSqliteStorage(options.sqlite);
+    default:
+      throw new Error(`Unknown storage driver "${options.driver}"`);
+  }
+};
+
+// Copy the JSON file database (and its event log) into another backend
+const migrateFromJson = async (jsonOptions, target) => {
+  const source = createJsonStorage(jsonOptions);
+  const state = await source.load();
+  if (!state) return { migrated: false };
+
+  const events = fs.existsSync(jsonOptions.eventsPath)
+    ? await source.queryEvents()
+    : [];
+
+  await target.save(state, events);
+  // Pre-project files keep instances and users at the top level
+  const slices = state.projectData ? Object.values(state.projectData) : [state];
+  const count = section => slices.reduce((sum, data) => sum + Object.keys(data[section] || {}).length, 0);
+  return {
+    migrated: true,
+    instances: count('instances'),
+    users: count('users'),
+    events: events.length
+  };
+};
+
+module.exports = { createStorage, migrateFromJson };
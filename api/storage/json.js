@@ -0,0 +1,168 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const { matchesEventFilter, matchesPruneFilter } = require('./events');
+
+// Lines of a file from the last to the first, read in chunks from the end.
+// Splitting on the newline byte is safe in UTF-8.
+async function* readLinesBackwards(target, chunkSize = 64 * 1024) {
+  const handle = await fsp.open(target, 'r');
+  try {
+    let position = (await handle.stat()).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const size = Math.min(chunkSize, position);
+      position -= size;
+      const chunk = Buffer.alloc(size);
+      await handle.read(chunk, 0, size, position);
+
+      const buffer = Buffer.concat([chunk, rest]);
+      let end = buffer.length;
+      for (let i = end - 1; i >= 0; i--) {
+        if (buffer[i] !== 0x0a) continue;
+        if (i + 1 < end) yield buffer.toString('utf8', i + 1, end);
+        end = i;
+      }
+      rest = buffer.subarray(0, end);
+    }
+    if (rest.length) yield rest.toString('utf8');
+  } finally {
+    await handle.close();
+  }
+}
+
+const parseEvent = (line) => {
+  try {
+    return JSON.parse(line);
+  } catch (e) {
+    return null;
+  }
+};
+
+// JSON file backend: the whole state lives in one file, events are appended
+// to a newline-delimited file next to it.
+const createJsonStorage = ({ filePath, eventsPath, instanceStoragePath, onError = () => {} }) => {
+  const writeAtomic = async (target, contents) => {
+    const tmpPath = `${target}.tmp`;
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.writeFile(tmpPath, contents);
+    await fsp.rename(tmpPath, target);
+  };
+
+  const readJson = async (target) => {
+    let raw = '';
+    try {
+      raw = await fsp.readFile(target, 'utf8');
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    if (!raw.trim()) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      // Keep the unreadable file around instead of silently overwriting it
+      onError(e);
+      await fsp.copyFile(target, `${target}.corrupt-${Date.now()}`).catch(() => {});
+      return null;
+    }
+  };
+
+  const load = async () => {
+    const state = await readJson(filePath);
+
+    // Fold the old standalone userId -> instanceId file into the state
+    if (instanceStoragePath) {
+      const legacy = await readJson(instanceStoragePath).catch(() => null);
+      if (legacy) {
+        return {
+          ...(state || {}),
+          instanceIds: { ...legacy, ...((state && state.instanceIds) || {}) }
+        };
+      }
+    }
+
+    return state;
+  };
+
+  const save = async (state, events = []) => {
+    // Serialize before the first await so the snapshot is consistent
+    const contents = JSON.stringify(state, null, 2);
+    const lines = events.map(event => JSON.stringify(event)).join('\n');
+
+    await writeAtomic(filePath, contents);
+    if (lines) {
+      await fsp.mkdir(path.dirname(eventsPath), { recursive: true });
+      await fsp.appendFile(eventsPath, `${lines}\n`);
+    }
+  };
+
+  const queryEvents = async (filter = {}) => {
+    const results = [];
+    if (!fs.existsSync(eventsPath)) return results;
+
+    // The log is appended in time order, so a limited query reads it from the
+    // end and stops at `limit` matches or at the first event before `from`
+    if (filter.limit) {
+      for await (const line of readLinesBackwards(eventsPath)) {
+        const event = parseEvent(line);
+        if (!event) continue;
+        if (filter.from && event.timestamp < filter.from) break;
+        if (!matchesEventFilter(event, filter)) continue;
+
+        results.push(event);
+        if (results.length === filter.limit) break;
+      }
+      return results.reverse().sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    const input = fs.createReadStream(eventsPath, 'utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      const event = line && parseEvent(line);
+      if (event && matchesEventFilter(event, filter)) results.push(event);
+    }
+
+    return results.sort((a, b) => a.timestamp - b.timestamp);
+  };
+
+  // Rewrite the event log without the events matching `filter`. Appending
+  // meanwhile would lose events, so the store runs this in its write queue.
+  const pruneEvents = async (filter) => {
+    if (!fs.existsSync(eventsPath)) return 0;
+
+    const tmpPath = `${eventsPath}.tmp`;
+    const output = fs.createWriteStream(tmpPath);
+    const lines = readline.createInterface({ input: fs.createReadStream(eventsPath, 'utf8'), crlfDelay: Infinity });
+    let removed = 0;
+    try {
+      for await (const line of lines) {
+        if (!line) continue;
+        const event = parseEvent(line);
+        if (!event || matchesPruneFilter(event, filter)) {
+          removed += 1;
+          continue;
+        }
+        if (!output.write(`${line}\n`)) await once(output, 'drain');
+      }
+      output.end();
+      await once(output, 'finish');
+    } catch (e) {
+      output.destroy();
+      await fsp.unlink(tmpPath).catch(() => {});
+      throw e;
+    }
+
+    if (removed) await fsp.rename(tmpPath, eventsPath);
+    else await fsp.unlink(tmpPath);
+    return removed;
+  };
+
+  const close = async () => {};
+
+  return { name: 'json', load, save, queryEvents, pruneEvents, close };
+};
+
+module.exports = { createJsonStorage };
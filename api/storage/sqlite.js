@@ -0,0 +1,338 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_PROJECT } = require('../projects');
+
+// State sections with their own table; everything else (settings,
+// instanceIds, ...) is kept as JSON in the meta table.
+const ROW_TABLES = ['instances', 'users'];
+
+// Per-project sections are stored like top-level ones, with project_id set
+// and "<projectId>/" in front of the row key.
+const PROJECT_DATA = 'projectData';
+const TABLES = [...ROW_TABLES, 'statistics', 'meta'];
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS instances (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    status TEXT,
+    last_active INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_instances_user ON instances(user_id);
+  CREATE INDEX IF NOT EXISTS idx_instances_last_active ON instances(last_active);
+
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    first_seen INTEGER,
+    last_active INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_users_last_active ON users(last_active);
+
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    instance_id TEXT,
+    user_id TEXT,
+    timestamp INTEGER NOT NULL,
+    data TEXT
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events(timestamp);
+  CREATE INDEX IF NOT EXISTS idx_events_user ON events(user_id, timestamp);
+  CREATE INDEX IF NOT EXISTS idx_events_instance ON events(instance_id, timestamp);
+
+  CREATE TABLE IF NOT EXISTS statistics (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Columns added after the first release; missing ones are added on open
+const ADDED_COLUMNS = {
+  instances: ['project_id TEXT'],
+  users: ['project_id TEXT'],
+  statistics: ['project_id TEXT'],
+  meta: ['project_id TEXT'],
+  events: ['project_id TEXT']
+};
+
+const addMissingColumns = (db) => {
+  Object.entries(ADDED_COLUMNS).forEach(([table, columns]) => {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name);
+    columns.forEach((definition) => {
+      if (!existing.includes(definition.split(' ')[0])) db.exec(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    });
+  });
+  db.exec('CREATE INDEX IF NOT EXISTS idx_events_project ON events(project_id, timestamp)');
+};
+
+const loadDriver = () => {
+  try {
+    return require('better-sqlite3');
+  } catch (e) {
+    throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+  }
+};
+
+// SQLite backend. Instances, users and statistics entries are rows; every other
+// section (timeseries, latency, sessions, groups, ...) is one JSON blob in
+// `meta`. Each flush still stringifies the whole state to find what changed,
+// but only rows and blobs whose JSON differs from the last save are written,
+// so the writes are cheap while the serialization grows with the state.
+const createSqliteStorage = ({ filePath }) => {
+  const Database = loadDriver();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.exec(SCHEMA);
+  addMissingColumns(db);
+
+  const statements = {
+    upsertInstance: db.prepare(`
+      INSERT INTO instances (id, project_id, user_id, status, last_active, data)
+      VALUES (@id, @projectId, @userId, @status, @lastActive, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        project_id = excluded.project_id, user_id = excluded.user_id, status = excluded.status,
+        last_active = excluded.last_active, data = excluded.data
+    `),
+    upsertUser: db.prepare(`
+      INSERT INTO users (id, project_id, first_seen, last_active, data)
+      VALUES (@id, @projectId, @firstSeen, @lastActive, @data)
+      ON CONFLICT(id) DO UPDATE SET
+        project_id = excluded.project_id, first_seen = excluded.first_seen,
+        last_active = excluded.last_active, data = excluded.data
+    `),
+    upsertStatistic: db.prepare(`
+      INSERT INTO statistics (key, project_id, value) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET project_id = excluded.project_id, value = excluded.value
+    `),
+    upsertMeta: db.prepare(`
+      INSERT INTO meta (key, project_id, value) VALUES (?, ?, ?)
+      ON CONFLICT(key) DO UPDATE SET project_id = excluded.project_id, value = excluded.value
+    `),
+    delete: {
+      instances: db.prepare('DELETE FROM instances WHERE id = ?'),
+      users: db.prepare('DELETE FROM users WHERE id = ?'),
+      statistics: db.prepare('DELETE FROM statistics WHERE key = ?'),
+      meta: db.prepare('DELETE FROM meta WHERE key = ?')
+    },
+    insertEvent: db.prepare(`
+      INSERT INTO events (type, project_id, instance_id, user_id, timestamp, data)
+      VALUES (@type, @projectId, @instanceId, @userId, @timestamp, @data)
+    `)
+  };
+
+  // Last JSON committed per row, keyed "<table>:<id>"
+  const written = new Map();
+
+  // `changes` collects what the transaction wrote; `written` only takes it
+  // over once the transaction has committed
+  const writeRow = (changes, table, id, record, projectId = null) => {
+    const data = JSON.stringify(record);
+    const key = `${table}:${id}`;
+    if (written.get(key) === data) return;
+
+    if (table === 'instances') {
+      statements.upsertInstance.run({
+        id,
+        projectId,
+        userId: record.userId || null,
+        status: record.status || null,
+        lastActive: record.lastActive || null,
+        data
+      });
+    } else if (table === 'users') {
+      statements.upsertUser.run({
+        id,
+        projectId,
+        firstSeen: record.firstSeen || null,
+        lastActive: record.lastActive || null,
+        data
+      });
+    } else if (table === 'statistics') {
+      statements.upsertStatistic.run(id, projectId, data);
+    } else {
+      statements.upsertMeta.run(id, projectId, data);
+    }
+    changes.set(key, data);
+  };
+
+  // Rows of one state section; `target` is the top-level state or a project's data
+  const loadTable = (table, keyColumn, valueColumn, place) => {
+    db.prepare(`SELECT ${keyColumn} AS key, project_id, ${valueColumn} AS value FROM ${table}`).all().forEach((row) => {
+      const key = row.project_id ? row.key.slice(row.project_id.length + 1) : row.key;
+      place(row.project_id, key, JSON.parse(row.value));
+      written.set(`${table}:${row.key}`, row.value);
+    });
+  };
+
+  const load = async () => {
+    const state = {};
+    let empty = true;
+
+    const target = (projectId) => {
+      empty = false;
+      if (!projectId) return state;
+      state[PROJECT_DATA] = state[PROJECT_DATA] || {};
+      state[PROJECT_DATA][projectId] = state[PROJECT_DATA][projectId] || {};
+      return state[PROJECT_DATA][projectId];
+    };
+    const addTo = section => (projectId, key, value) => {
+      const data = target(projectId);
+      data[section] = data[section] || {};
+      data[section][key] = value;
+    };
+
+    ROW_TABLES.forEach(table => loadTable(table, 'id', 'data', addTo(table)));
+    loadTable('statistics', 'key', 'value', addTo('statistics'));
+    loadTable('meta', 'key', 'value', (projectId, key, value) => {
+      target(projectId)[key] = value;
+    });
+
+    return empty ? null : state;
+  };
+
+  const saveTransaction = db.transaction((state, events, changes) => {
+    const seen = {};
+    TABLES.forEach((table) => { seen[table] = new Set(); });
+    const write = (table, id, record, projectId) => {
+      seen[table].add(id);
+      writeRow(changes, table, id, record, projectId);
+    };
+
+    const writeSections = (sections, projectId = null) => {
+      const prefix = projectId ? `${projectId}/` : '';
+      Object.entries(sections).forEach(([section, value]) => {
+        if (ROW_TABLES.includes(section) || section === 'statistics') {
+          Object.entries(value || {}).forEach(([id, record]) => write(section, `${prefix}${id}`, record, projectId));
+        } else {
+          write('meta', `${prefix}${section}`, value, projectId);
+        }
+      });
+    };
+
+    const { [PROJECT_DATA]: projects = {}, ...sections } = state;
+    writeSections(sections);
+    Object.entries(projects).forEach(([projectId, data]) => writeSections(data, projectId));
+
+    // Remove rows whose record is gone from the state
+    TABLES.forEach((table) => {
+      const prefix = `${table}:`;
+      for (const key of written.keys()) {
+        if (key.startsWith(prefix) && !seen[table].has(key.slice(prefix.length))) {
+          statements.delete[table].run(key.slice(prefix.length));
+          changes.set(key, null);
+        }
+      }
+    });
+
+    events.forEach((event) => {
+      const { type, projectId = null, instanceId = null, userId = null, timestamp, ...rest } = event;
+      statements.insertEvent.run({
+        type,
+        projectId,
+        instanceId,
+        userId,
+        timestamp,
+        data: JSON.stringify(rest)
+      });
+    });
+  });
+
+  // If the transaction throws it is rolled back and `written` is untouched,
+  // so the store's next save writes and deletes those rows again
+  const save = async (state, events = []) => {
+    const changes = new Map();
+    saveTransaction(state, events, changes);
+    changes.forEach((data, key) => {
+      if (data === null) written.delete(key);
+      else written.set(key, data);
+    });
+  };
+
+  const queryEvents = async (filter = {}) => {
+    const where = [];
+    const params = {};
+
+    if (filter.projectId) {
+      where.push('COALESCE(project_id, @defaultProject) = @projectId');
+      params.projectId = filter.projectId;
+      params.defaultProject = DEFAULT_PROJECT;
+    }
+    if (filter.type) {
+      where.push('type = @type');
+      params.type = filter.type;
+    }
+    if (filter.types) {
+      where.push(`type IN (${filter.types.map((t, i) => `@type${i}`).join(', ')})`);
+      filter.types.forEach((t, i) => { params[`type${i}`] = t; });
+    }
+    if (filter.errorType) {
+      where.push("json_extract(data, '$.errorType') = @errorType");
+      params.errorType = filter.errorType;
+    }
+    if (filter.instanceId) {
+      where.push('instance_id = @instanceId');
+      params.instanceId = filter.instanceId;
+    }
+    if (filter.userId) {
+      where.push('user_id = @userId');
+      params.userId = filter.userId;
+    }
+    if (filter.groupId) {
+      where.push("json_extract(data, '$.groupId') = @groupId");
+      params.groupId = filter.groupId;
+    }
+    if (filter.from) {
+      where.push('timestamp >= @from');
+      params.from = filter.from;
+    }
+    if (filter.to) {
+      where.push('timestamp <= @to');
+      params.to = filter.to;
+    }
+
+    const sql = `
+      SELECT type, project_id, instance_id, user_id, timestamp, data FROM events
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY timestamp DESC, id DESC
+      ${filter.limit ? 'LIMIT @limit' : ''}
+    `;
+    if (filter.limit) params.limit = filter.limit;
+
+    return db.prepare(sql).all(params).reverse().map(row => ({
+      ...JSON.parse(row.data || '{}'),
+      type: row.type,
+      projectId: row.project_id || DEFAULT_PROJECT,
+      instanceId: row.instance_id,
+      userId: row.user_id,
+      timestamp: row.timestamp
+    }));
+  };
+
+  const pruneEvents = async ({ before, projectId } = {}) => {
+    const where = [];
+    if (before) where.push('timestamp < @before');
+    if (projectId) where.push('COALESCE(project_id, @defaultProject) = @projectId');
+    if (!where.length) return 0;
+
+    return db.prepare(`DELETE FROM events WHERE ${where.join(' AND ')}`)
+      .run({ before, projectId, defaultProject: DEFAULT_PROJECT }).changes;
+  };
+
+  const close = async () => {
+    db.close();
+  };
+
+  return { name: 'sqlite', load, save, queryEvents, pruneEvents, close };
+};
+
+module.exports = { createSqliteStorage };
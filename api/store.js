@@ -0,0 +1,139 @@
+const { clone, withDefaults } = require('./objects');
+const { matchesEventFilter, matchesPruneFilter } = require('./storage/events');
+
+// Identifies an event both in memory and as read back from storage
+const eventKey = (event) =>
+  [event.timestamp, event.type, event.instanceId || '', event.userId || '', event.messageId || event.fingerprint || ''].join('|');
+
+// In-process state store.
+// Reads are served from memory, mutations run one at a time through a queue,
+// and the state is handed to the storage backend on a debounced flush plus a
+// periodic one. Events recorded between flushes are saved with the state.
+// `migrate` reshapes loaded or replaced state from older layouts.
+const createStore = ({
+  storage,
+  initialState,
+  migrate = state => state,
+  flushDelay = 1000,
+  flushInterval = 30 * 1000,
+  onError = () => {}
+}) => {
+  let state = null;
+  let queue = Promise.resolve();
+  let dirty = false;
+  let pendingEvents = [];
+  let savingEvents = [];  // handed to storage.save, not confirmed yet
+  let flushTimer = null;
+  let intervalTimer = null;
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const load = async () => {
+    const data = await storage.load();
+    if (data) {
+      state = migrate(withDefaults(initialState, data));
+      return state;
+    }
+
+    state = migrate(clone(initialState));
+    dirty = true;
+    await flush();
+    return state;
+  };
+
+  const get = () => state;
+
+  const flush = () => enqueue(async () => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!dirty && !pendingEvents.length) return;
+
+    // Hand over inside the queue so no mutation is half-applied
+    const events = pendingEvents;
+    dirty = false;
+    pendingEvents = [];
+    savingEvents = events;
+    try {
+      await storage.save(state, events);
+    } catch (e) {
+      dirty = true;
+      pendingEvents = events.concat(pendingEvents);
+      onError(e);
+    } finally {
+      savingEvents = [];
+    }
+  });
+
+  const scheduleFlush = () => {
+    dirty = true;
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelay);
+    flushTimer.unref();
+  };
+
+  // Apply a mutation to the state; resolves with whatever the mutator returns
+  const update = (mutator) => enqueue(async () => {
+    try {
+      return await mutator(state);
+    } finally {
+      scheduleFlush();
+    }
+  });
+
+  // Swap in a whole new state, e.g. a restored backup; keeps pending events
+  const replace = (data) => enqueue(async () => {
+    state = migrate(withDefaults(initialState, data));
+    scheduleFlush();
+    return state;
+  });
+
+  // Queue an event ({ type, instanceId, userId, ...data }) for the event log
+  const recordEvent = (event) => {
+    pendingEvents.push({ timestamp: Date.now(), ...event });
+    scheduleFlush();
+  };
+
+  // Saved events come from storage, the rest from memory, so reads never
+  // force a flush. A save finishing during the query can put an event in
+  // both; those are matched up by their identifying fields.
+  const queryEvents = async (filter = {}) => {
+    const unsaved = savingEvents.concat(pendingEvents).filter(event => matchesEventFilter(event, filter));
+    const stored = await storage.queryEvents(filter);
+    if (!unsaved.length) return stored;
+
+    const storedKeys = new Set(stored.map(eventKey));
+    const events = stored
+      .concat(unsaved.filter(event => !storedKeys.has(eventKey(event))))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    return filter.limit ? events.slice(-filter.limit) : events;
+  };
+
+  // Runs in the write queue so no save appends while the log is rewritten;
+  // events not saved yet are dropped from memory the same way
+  const pruneEvents = (filter) => enqueue(async () => {
+    const pending = pendingEvents.length;
+    pendingEvents = pendingEvents.filter(event => !matchesPruneFilter(event, filter));
+    return (pending - pendingEvents.length) + await storage.pruneEvents(filter);
+  });
+
+  const start = () => {
+    if (intervalTimer) return;
+    intervalTimer = setInterval(flush, flushInterval);
+    intervalTimer.unref();
+  };
+
+  const close = async () => {
+    clearInterval(intervalTimer);
+    intervalTimer = null;
+    await flush();
+    await storage.close();
+  };
+
+  return { load, get, update, replace, recordEvent, queryEvents, pruneEvents, flush, start, close };
+};
+
+module.exports = { createStore };
@@ -0,0 +1,73 @@
+// Server-Sent Events hub for the live dashboard.
+// Clients that may not see personal data get events passed through `redact`.
+// A client may subscribe to one topic; events published with a topic only
+// go to its subscribers.
+const createStreamHub = ({ keepAliveMs = 25 * 1000, retryMs = 5000 } = {}) => {
+  const clients = new Set();
+  let nextEventId = 1;
+  let keepAliveTimer = null;
+
+  const send = (client, chunk) => {
+    client.res.write(chunk);
+    // compression() buffers output unless told to flush
+    if (client.res.flush) client.res.flush();
+  };
+
+  const format = (event, data) =>
+    `id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  const startKeepAlive = () => {
+    if (keepAliveTimer) return;
+    keepAliveTimer = setInterval(() => {
+      clients.forEach(client => send(client, ': keep-alive\n\n'));
+    }, keepAliveMs);
+    keepAliveTimer.unref();
+  };
+
+  const stopKeepAlive = () => {
+    clearInterval(keepAliveTimer);
+    keepAliveTimer = null;
+  };
+
+  // Register an Express response as a stream; `initial` events are sent first
+  const addClient = (req, res, { personal = false, topic = null, initial = [] } = {}) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = { res, personal, topic };
+    clients.add(client);
+    send(client, `retry: ${retryMs}\n\n`);
+    initial.forEach(({ event, data }) => send(client, format(event, data)));
+    startKeepAlive();
+
+    req.on('close', () => {
+      clients.delete(client);
+      if (!clients.size) stopKeepAlive();
+    });
+  };
+
+  const publish = (event, data, { redact, topic = null } = {}) => {
+    const targets = [...clients].filter(client => !topic || client.topic === topic);
+    if (!targets.length) return;
+    const full = format(event, data);
+    const redacted = redact ? format(event, redact(data)) : full;
+    targets.forEach(client => send(client, client.personal ? full : redacted));
+  };
+
+  // Topics with at least one subscriber
+  const topics = () => new Set([...clients].map(client => client.topic).filter(Boolean));
+
+  const close = () => {
+    stopKeepAlive();
+    clients.forEach(client => client.res.end());
+    clients.clear();
+  };
+
+  return { addClient, publish, topics, close, size: () => clients.size };
+};
+
+module.exports = { createStreamHub };
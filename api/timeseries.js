@@ -0,0 +1,78 @@
+// Time-bucketed counters kept in state.timeseries.
+// Every sample is added to its minute, hour and day bucket; old buckets are
+// pruned per resolution so only coarse data survives for long ranges.
+const INTERVALS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+const METRICS = ['messages', 'connections', 'disconnections', 'reactions', 'errors'];
+
+const MAX_POINTS = 2000;
+
+const createTimeseriesState = () => ({ minute: {}, hour: {}, day: {} });
+
+const bucketStart = (timestamp, interval) =>
+  Math.floor(timestamp / INTERVALS[interval]) * INTERVALS[interval];
+
+const recordMetric = (db, metric, timestamp = Date.now(), amount = 1) => {
+  Object.keys(INTERVALS).forEach((interval) => {
+    const buckets = db.timeseries[interval];
+    const key = bucketStart(timestamp, interval);
+    const bucket = buckets[key] || (buckets[key] = {});
+    bucket[metric] = (bucket[metric] || 0) + amount;
+  });
+};
+
+// Drop buckets older than the retention of their resolution
+const pruneTimeseries = (db, retention, now = Date.now()) => {
+  let removed = 0;
+  Object.keys(INTERVALS).forEach((interval) => {
+    if (!retention[interval]) return;
+    const cutoff = now - retention[interval];
+    Object.keys(db.timeseries[interval]).forEach((key) => {
+      if (Number(key) < cutoff) {
+        delete db.timeseries[interval][key];
+        removed++;
+      }
+    });
+  });
+  return removed;
+};
+
+// Finest resolution that keeps the range under MAX_POINTS and is still retained
+const pickInterval = (from, to, retention, now = Date.now()) =>
+  Object.keys(INTERVALS).find(interval =>
+    (to - from) / INTERVALS[interval] <= MAX_POINTS &&
+    (!retention[interval] || from >= now - retention[interval])
+  ) || 'day';
+
+// Zero-filled series of { timestamp, value } for one metric
+const queryTimeseries = (db, { metric, from, to, interval }) => {
+  const buckets = db.timeseries[interval];
+  const step = INTERVALS[interval];
+  const points = [];
+
+  for (let ts = bucketStart(from, interval); ts <= to; ts += step) {
+    const bucket = buckets[ts];
+    points.push({ timestamp: ts, value: (bucket && bucket[metric]) || 0 });
+  }
+  return points;
+};
+
+// Total of one metric between two timestamps
+const sumTimeseries = (db, { metric, from, to, interval = 'minute' }) =>
+  queryTimeseries(db, { metric, from, to, interval }).reduce((sum, point) => sum + point.value, 0);
+
+module.exports = {
+  INTERVALS,
+  METRICS,
+  MAX_POINTS,
+  createTimeseriesState,
+  recordMetric,
+  pruneTimeseries,
+  pickInterval,
+  queryTimeseries,
+  sumTimeseries
+};
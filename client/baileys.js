@@ -0,0 +1,110 @@
+// Turns Baileys socket events into /api/track payloads (without instanceId,
+// which the client fills in when sending). Kept free of I/O so the mapping
+// can be checked on recorded events.
+
+// Message keys that aren't the content itself
+const WRAPPER_KEYS = ['messageContextInfo', 'senderKeyDistributionMessage'];
+
+// Wrappers around the actual content
+const NESTED_KEYS = ['ephemeralMessage', 'viewOnceMessage', 'viewOnceMessageV2', 'documentWithCaptionMessage', 'editedMessage'];
+
+// Reactions arrive through messages.reaction; protocol messages are deletes, edits and the like
+const IGNORED_TYPES = ['reactionMessage', 'protocolMessage'];
+
+// Baileys' DisconnectReason codes
+const DISCONNECT_REASONS = {
+  401: 'logged_out',
+  403: 'forbidden',
+  408: 'connection_lost',
+  411: 'multidevice_mismatch',
+  428: 'connection_closed',
+  440: 'connection_replaced',
+  500: 'bad_session',
+  503: 'unavailable_service',
+  515: 'restart_required'
+};
+
+const isGroup = jid => typeof jid === 'string' && jid.endsWith('@g.us');
+const isStatus = jid => jid === 'status@broadcast';
+
+// '123:4@s.whatsapp.net' (a linked device) -> '123@s.whatsapp.net'
+const normalizeJid = jid => (typeof jid === 'string' ? jid.replace(/:\d+@/, '@') : jid);
+
+// Who sent a message: the participant in groups and status, the chat otherwise
+const senderOf = key => normalizeJid(key.participant || key.remoteJid);
+
+const messageType = (message) => {
+  if (!message) return null;
+  const type = Object.keys(message).find(key => !WRAPPER_KEYS.includes(key) && message[key]);
+  if (NESTED_KEYS.includes(type)) return messageType(message[type].message);
+  return type || null;
+};
+
+// messages.upsert -> message and status_update events. Only new messages
+// ('notify') count; history syncs arrive as 'append'.
+const fromMessagesUpsert = ({ messages = [], type } = {}, { trackOwnMessages = false } = {}) => {
+  if (type && type !== 'notify') return [];
+
+  return messages.reduce((events, msg) => {
+    const key = msg && msg.key;
+    if (!key || !key.remoteJid || (key.fromMe && !trackOwnMessages)) return events;
+
+    const content = messageType(msg.message);
+    if (!content || IGNORED_TYPES.includes(content)) return events;
+
+    if (isStatus(key.remoteJid)) {
+      events.push({ eventType: 'status_update', userId: senderOf(key), messageId: key.id, status: content });
+    } else {
+      events.push({
+        eventType: 'message',
+        userId: senderOf(key),
+        messageId: key.id,
+        messageType: content,
+        ...(isGroup(key.remoteJid) && { groupId: key.remoteJid })
+      });
+    }
+    return events;
+  }, []);
+};
+
+// messages.reaction -> message_reaction events; removed reactions (empty text) are skipped
+const fromMessagesReaction = (reactions = [], { trackOwnMessages = false } = {}) =>
+  reactions.reduce((events, { key, reaction } = {}) => {
+    if (!key || !reaction || !reaction.text) return events;
+    const reactor = reaction.key || key;
+    if (reactor.fromMe && !trackOwnMessages) return events;
+
+    events.push({
+      eventType: 'message_reaction',
+      userId: senderOf(reactor),
+      messageId: key.id,
+      reaction: reaction.text,
+      ...(isGroup(key.remoteJid) && { groupId: key.remoteJid })
+    });
+    return events;
+  }, []);
+
+// group-participants.update -> one group_update per participant. Newer
+// Baileys versions send participants as objects with an id.
+const fromGroupParticipants = ({ id, participants = [], action } = {}) =>
+  participants
+    .map(participant => normalizeJid(typeof participant === 'string' ? participant : participant && participant.id))
+    .filter(Boolean)
+    .map(userId => ({ eventType: 'group_update', userId, groupId: id, action }));
+
+// Reason for /api/disconnect from a connection.update with connection 'close'
+const disconnectReason = (lastDisconnect) => {
+  const error = lastDisconnect && lastDisconnect.error;
+  if (!error) return 'unknown';
+  const code = error.output && error.output.statusCode;
+  return DISCONNECT_REASONS[code] || (code ? `status_${code}` : error.message || 'unknown');
+};
+
+module.exports = {
+  normalizeJid,
+  messageType,
+  fromMessagesUpsert,
+  fromMessagesReaction,
+  fromGroupParticipants,
+  disconnectReason
+};
@@ -0,0 +1,385 @@
+const axios = require('axios');
+const os = require('os');
+const baileys = require('./baileys');
+
+// Client for the analytics API, for bots built on Baileys.
+// attach(sock) reports the socket's connection state, messages, reactions
+// and group changes. Events are queued and sent through /api/batch; while
+// the server can't be reached they stay queued (up to maxQueue, oldest
+// dropped first) and are retried with exponential backoff. shutdown()
+// sends what's left and reports the disconnect.
+const DEFAULTS = {
+  userAgent: `marxbot-client (node ${process.versions.node})`,
+  heartbeatInterval: 60 * 1000,        // the server's heartbeat timeout is 2 minutes by default
+  systemInfoInterval: 5 * 60 * 1000,   // 0 turns system info reports off
+  flushInterval: 5 * 1000,
+  batchSize: 100,                      // the server takes up to 1000 events per batch
+  maxQueue: 10000,
+  retryDelay: 1000,                    // first retry; doubles with each failure
+  maxRetryDelay: 5 * 60 * 1000,
+  timeout: 10 * 1000,
+  shutdownTimeout: 5 * 1000,
+  trackOwnMessages: false,
+  handleSignals: false                 // shut down on SIGINT/SIGTERM, then exit
+};
+
+const TRACK_TYPES = ['message', 'message_reaction', 'group_update', 'status_update'];
+
+// The server's default limits for /api/error
+const MAX_ERROR_TYPE = 100;
+const MAX_ERROR_MESSAGE = 2000;
+
+// Network errors, timeouts, 5xx and 429 are worth retrying; other failures
+// mean the server won't take the payload
+const isRetryable = (error) => {
+  const status = error.response && error.response.status;
+  return !status || status >= 500 || status === 408 || status === 429;
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const createAnalyticsClient = (options = {}) => {
+  const settings = { ...DEFAULTS, ...options };
+  if (!settings.baseUrl) throw new Error('baseUrl is required');
+
+  // A project-bound key decides the project; X-Project-Id is for servers
+  // that accept ingestion without keys
+  const headers = {};
+  if (settings.apiKey) headers['X-API-Key'] = settings.apiKey;
+  if (settings.projectId) headers['X-Project-Id'] = settings.projectId;
+  const http = axios.create({ baseURL: settings.baseUrl.replace(/\/+$/, ''), timeout: settings.timeout, headers });
+  const onError = settings.onError || (error => console.error(`[marxbot] ${error.message}`));
+
+  const state = {
+    instanceId: settings.instanceId || null,
+    userId: settings.userId || null,
+    connected: false,   // registered through /api/connect and not disconnected since
+    connecting: null,   // promise of the registration in progress
+    session: 0,         // bumped by connect/disconnect so stale registrations stop retrying
+    stopped: false,
+    queue: [],          // track events, oldest first
+    errors: [],         // error reports, sent one by one
+    sent: 0,
+    rejected: 0,        // refused by the server; not retried
+    dropped: 0,         // pushed out of a full queue
+    failures: 0,        // consecutive failed sends, drives the backoff
+    flushing: null,
+    wake: null,
+    lastCpu: null,
+    timers: {},
+    detachers: []
+  };
+
+  const post = (path, body) => http.post(path, body).then(res => res.data);
+
+  const setTimer = (name, fn, delay) => {
+    clearTimeout(state.timers[name]);
+    state.timers[name] = setTimeout(fn, delay);
+    state.timers[name].unref();
+  };
+
+  const setRepeat = (name, fn, interval) => {
+    clearInterval(state.timers[name]);
+    if (!interval) return;
+    state.timers[name] = setInterval(fn, interval);
+    state.timers[name].unref();
+  };
+
+  const stopTimers = () => {
+    Object.values(state.timers).forEach((timer) => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    state.timers = {};
+  };
+
+  // Jittered so a fleet of bots doesn't retry in step
+  const retryDelay = () => {
+    const delay = Math.min(settings.maxRetryDelay, settings.retryDelay * 2 ** Math.max(0, state.failures - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  };
+
+  // A wait that disconnect() and shutdown() can cut short
+  const pause = ms => new Promise((resolve) => {
+    state.wake = resolve;
+    setTimer('retry', resolve, ms);
+  });
+
+  const interrupt = () => {
+    clearTimeout(state.timers.retry);
+    if (state.wake) state.wake();
+    state.wake = null;
+  };
+
+  const trim = (queue) => {
+    const over = queue.length - settings.maxQueue;
+    if (over > 0) {
+      queue.splice(0, over);
+      state.dropped += over;
+    }
+  };
+
+  // Send the first `count` items of a queue. Returns false when the send
+  // should be retried later; the items are back on the queue then.
+  const sendFrom = async (queue, count, send) => {
+    const items = queue.splice(0, count);
+    try {
+      await send(items);
+      state.failures = 0;
+      return true;
+    } catch (e) {
+      onError(e);
+      if (!isRetryable(e)) {
+        state.rejected += items.length;
+        return true;
+      }
+      queue.unshift(...items);
+      trim(queue);
+      state.failures += 1;
+      return false;
+    }
+  };
+
+  const sendBatch = async (items) => {
+    const result = await post('/api/batch', { events: items.map(item => ({ ...item, instanceId: state.instanceId })) });
+    state.sent += result.processed;
+    if (result.failed) {
+      state.rejected += result.failed;
+      const first = result.results.find(r => !r.success);
+      onError(new Error(`${result.failed} events rejected: ${first.errors.map(e => e.msg).join(', ')}`));
+    }
+  };
+
+  const sendError = ([report]) => post('/api/error', { ...report, instanceId: state.instanceId })
+    .then(() => { state.sent += 1; });
+
+  // Events need an instanceId, so nothing is sent before the first connect
+  const sendQueued = async () => {
+    while (state.instanceId && (state.errors.length || state.queue.length)) {
+      const ok = state.errors.length
+        ? await sendFrom(state.errors, 1, sendError)
+        : await sendFrom(state.queue, settings.batchSize, sendBatch);
+      if (!ok) return;
+    }
+  };
+
+  const scheduleFlush = (delay) => {
+    if (state.stopped || !state.instanceId) return;
+    setTimer('flush', () => flush(), delay);
+  };
+
+  // Send everything queued; resolves when the queue is empty or a send failed
+  const flush = () => {
+    if (!state.flushing) {
+      state.flushing = sendQueued().finally(() => {
+        state.flushing = null;
+        scheduleFlush(state.failures ? retryDelay() : settings.flushInterval);
+      });
+    }
+    return state.flushing;
+  };
+
+  // Send soon, unless we're backing off after a failure
+  const nudge = () => {
+    if (!state.failures) scheduleFlush(0);
+  };
+
+  const cpuPercent = () => {
+    const now = { usage: process.cpuUsage(), time: Date.now() };
+    const last = state.lastCpu;
+    state.lastCpu = now;
+    if (!last || now.time === last.time) return null;
+    const used = (now.usage.user - last.usage.user + now.usage.system - last.usage.system) / 1000;
+    return Math.round((used / (now.time - last.time)) * 1000) / 10;
+  };
+
+  const sendSystemInfo = (info) => {
+    if (!state.instanceId) return Promise.resolve();
+    const systemInfo = info || {
+      platform: process.platform,
+      nodeVersion: process.version,
+      uptime: process.uptime(),
+      cpu: cpuPercent(),
+      memory: { used: process.memoryUsage().rss, total: os.totalmem() }
+    };
+    return post('/api/system-info', { instanceId: state.instanceId, systemInfo }).catch(onError);
+  };
+
+  const heartbeat = () => post('/api/heartbeat', { instanceId: state.instanceId }).catch(onError);
+
+  const register = async (session) => {
+    while (!state.stopped && state.session === session) {
+      try {
+        const result = await post('/api/connect', {
+          userId: state.userId,
+          userAgent: settings.userAgent,
+          ...(state.instanceId && { instanceId: state.instanceId })
+        });
+        // The server reuses the instanceId we send unless it has forgotten the instance
+        state.instanceId = result.instanceId;
+        state.connected = true;
+        state.failures = 0;
+        setRepeat('heartbeat', heartbeat, settings.heartbeatInterval);
+        setRepeat('systemInfo', () => sendSystemInfo(), settings.systemInfoInterval);
+        scheduleFlush(0);
+        return state.instanceId;
+      } catch (e) {
+        if (!isRetryable(e)) throw e;
+        onError(e);
+        state.failures += 1;
+        await pause(retryDelay());
+      }
+    }
+    return null;
+  };
+
+  // Register the instance, retrying until it works. Resolves with the
+  // instanceId, or null if disconnect() or shutdown() came first.
+  const connect = (userId = state.userId) => {
+    if (!userId) return Promise.reject(new Error('userId is required to connect'));
+    if (state.connecting && userId === state.userId) return state.connecting;
+
+    state.userId = userId;
+    const session = ++state.session;
+    const connecting = register(session).finally(() => {
+      if (state.connecting === connecting) state.connecting = null;
+    });
+    state.connecting = connecting;
+    return connecting;
+  };
+
+  // Send what's queued and report the disconnect. Not retried: if the server
+  // can't be reached the instance goes stale there on its own.
+  const disconnect = async (reason = 'unknown') => {
+    state.session += 1;
+    interrupt();
+    if (state.connecting) await state.connecting.catch(() => {});
+    if (!state.connected) return;
+
+    state.connected = false;
+    clearInterval(state.timers.heartbeat);
+    clearInterval(state.timers.systemInfo);
+    await flush();
+    await post('/api/disconnect', { instanceId: state.instanceId, reason }).catch(onError);
+  };
+
+  // Queue a track event: { eventType, userId, messageType?, groupId?, action?, reaction?, status? }
+  const track = (event) => {
+    const item = { eventType: 'message', ...event };
+    if (!TRACK_TYPES.includes(item.eventType)) {
+      throw new Error(`eventType must be one of ${TRACK_TYPES.join(', ')}`);
+    }
+    if (typeof item.userId !== 'string' || !item.userId) throw new Error('userId is required');
+
+    state.queue.push(item);
+    trim(state.queue);
+    if (state.queue.length >= settings.batchSize) nudge();
+  };
+
+  const trackAll = events => events.forEach(track);
+
+  const reportError = (error, context) => {
+    const report = {
+      type: String((error && error.name) || 'Error').slice(0, MAX_ERROR_TYPE),
+      message: String((error && error.message) || error).slice(0, MAX_ERROR_MESSAGE),
+      ...(error && error.stack && { stack: error.stack }),
+      ...(context && { context })
+    };
+    state.errors.push(report);
+    trim(state.errors);
+    nudge();
+  };
+
+  // Report a Baileys socket's activity. Bots that create a new socket on
+  // reconnect attach each one; the instanceId carries over.
+  const attach = (sock) => {
+    const handlers = {
+      'connection.update': ({ connection, lastDisconnect }) => {
+        if (connection === 'open') {
+          const userId = settings.userId || (sock.user && baileys.normalizeJid(sock.user.id));
+          connect(userId).catch(onError);
+        } else if (connection === 'close') {
+          disconnect(baileys.disconnectReason(lastDisconnect));
+        }
+      },
+      'messages.upsert': update => trackAll(baileys.fromMessagesUpsert(update, settings)),
+      'messages.reaction': reactions => trackAll(baileys.fromMessagesReaction(reactions, settings)),
+      'group-participants.update': update => trackAll(baileys.fromGroupParticipants(update))
+    };
+
+    // Analytics must never break the bot's event handling
+    const listeners = Object.entries(handlers).map(([event, handler]) => [event, (data) => {
+      try {
+        handler(data);
+      } catch (e) {
+        onError(e);
+      }
+    }]);
+    listeners.forEach(([event, listener]) => sock.ev.on(event, listener));
+
+    const detach = () => {
+      listeners.forEach(([event, listener]) => sock.ev.off(event, listener));
+      state.detachers = state.detachers.filter(d => d !== detach);
+    };
+    state.detachers.push(detach);
+    return detach;
+  };
+
+  const onSignal = (signal) => {
+    shutdown().finally(() => process.kill(process.pid, signal));
+  };
+
+  // Stop, send what's queued and report the disconnect, waiting at most
+  // shutdownTimeout. Events still queued after that are lost.
+  const shutdown = async (reason = 'shutdown') => {
+    if (state.stopped) return;
+    state.stopped = true;
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+    [...state.detachers].forEach(detach => detach());
+
+    await withTimeout(disconnect(reason), settings.shutdownTimeout);
+    stopTimers();
+
+    const unsent = state.queue.length + state.errors.length;
+    if (unsent) onError(new Error(`${unsent} events were not sent before shutdown`));
+  };
+
+  if (settings.handleSignals) {
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+  }
+
+  const status = () => ({
+    instanceId: state.instanceId,
+    userId: state.userId,
+    connected: state.connected,
+    queued: state.queue.length,
+    pendingErrors: state.errors.length,
+    sent: state.sent,
+    rejected: state.rejected,
+    dropped: state.dropped,
+    failures: state.failures
+  });
+
+  return {
+    attach,
+    connect,
+    disconnect,
+    track,
+    reportError,
+    sendSystemInfo,
+    flush,
+    shutdown,
+    status
+  };
+};
+
+module.exports = { createAnalyticsClient };
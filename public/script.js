@@ -1,11 +1,13 @@
 // Configuration
 const CONFIG = {
-  refreshInterval: 5000,
+  refreshInterval: 5000,           // polling mode
+  instancePageSize: 25,
+  searchDelay: 300,                // debounce for the instance search box
+  streamRefreshInterval: 60000,    // chart refresh while the live stream is up
+  streamRetryDelay: 30000,         // reconnect delay after the stream is closed
+
   apiBaseUrl: '',
-  timeouts: {
-    concurrent: 30 * 60 * 1000,
-    disconnected: 12 * 60 * 60 * 1000
-  }
+  projectStorageKey: 'marxbot.project'
 };
 
 // Chart instances
@@ -28,6 +30,13 @@ let appState = {
   lastUpdate: null,
   startTime: Date.now(),
   previousStats: null,
+  latest: null,           // last { stats, instances, health, errors } shown
+  project: localStorage.getItem(CONFIG.projectStorageKey) || 'default',
+  stream: null,
+  refreshTimer: null,
+  instanceQuery: { page: 1, q: '', status: '' },
+  instancePages: 1,
+  searchTimer: null,
   chartDataHistory: {
     activity: [],
     errors: []
@@ -59,13 +68,30 @@ const elements = {
   avgResponse: document.getElementById('avgResponse'),
   peakLoad: document.getElementById('peakLoad'),
   msgPerMin: document.getElementById('msgPerMin'),
-  dataThroughput: document.getElementById('dataThroughput'),
-  cacheHitRate: document.getElementById('cacheHitRate'),
-  dbQueries: document.getElementById('dbQueries'),
+  p95Response: document.getElementById('p95Response'),
+  requestsPerMin: document.getElementById('requestsPerMin'),
+  serverErrorRate: document.getElementById('serverErrorRate'),
+
+  // Engagement
+  dau: document.getElementById('dau'),
+  wau: document.getElementById('wau'),
+  mau: document.getElementById('mau'),
+  stickiness: document.getElementById('stickiness'),
   
   // Tables
   instancesTable: document.querySelector('#instancesTable tbody'),
-  errorsTable: document.querySelector('#errorsTable tbody')
+  instanceSearch: document.getElementById('instanceSearch'),
+  instanceStatus: document.getElementById('instanceStatus'),
+  instancePrev: document.getElementById('instancePrev'),
+  instanceNext: document.getElementById('instanceNext'),
+  instancePage: document.getElementById('instancePage'),
+  errorsTable: document.querySelector('#errorsTable tbody'),
+  cohortsTable: document.getElementById('cohortsTable'),
+  groupsTable: document.querySelector('#groupsTable tbody'),
+  userLookup: document.getElementById('userLookup'),
+  userLookupId: document.getElementById('userLookupId'),
+  userDetail: document.getElementById('userDetail'),
+  userTimelineTable: document.querySelector('#userTimelineTable tbody')
 };
 
 // Initialize application
@@ -74,16 +100,116 @@ async function init() {
   
   // Initialize charts
   initCharts();
+
+  // Pick the project to show
+  await loadProjects();
   
   // Load initial data
   await fetchData();
   
-  // Start periodic updates
-  setInterval(fetchData, CONFIG.refreshInterval);
+  // Start periodic updates; live stream when available, polling otherwise
+  setRefreshInterval(CONFIG.refreshInterval);
+  startStream();
   setInterval(updateUptime, 1000);
   
   // Handle window resize
   window.addEventListener('resize', handleResize);
+
+  document.getElementById('logoutButton').addEventListener('click', logout);
+  initInstanceControls();
+
+  document.querySelectorAll('[data-export]').forEach(button => {
+    button.addEventListener('click', () => exportData(button.dataset.export, button.dataset.format));
+  });
+
+  elements.userLookup.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const userId = elements.userLookupId.value.trim();
+    if (userId) showUserDetail(userId);
+  });
+}
+
+// Search, status filter and paging for the instance table
+function initInstanceControls() {
+  elements.instanceSearch.addEventListener('input', () => {
+    clearTimeout(appState.searchTimer);
+    appState.searchTimer = setTimeout(() => {
+      appState.instanceQuery = { ...appState.instanceQuery, q: elements.instanceSearch.value.trim(), page: 1 };
+      refreshInstances();
+    }, CONFIG.searchDelay);
+  });
+
+  elements.instanceStatus.addEventListener('change', () => {
+    appState.instanceQuery = { ...appState.instanceQuery, status: elements.instanceStatus.value, page: 1 };
+    refreshInstances();
+  });
+
+  elements.instancePrev.addEventListener('click', () => {
+    if (appState.instanceQuery.page <= 1) return;
+    appState.instanceQuery = { ...appState.instanceQuery, page: appState.instanceQuery.page - 1 };
+    refreshInstances();
+  });
+
+  elements.instanceNext.addEventListener('click', () => {
+    if (appState.instanceQuery.page >= appState.instancePages) return;
+    appState.instanceQuery = { ...appState.instanceQuery, page: appState.instanceQuery.page + 1 };
+    refreshInstances();
+  });
+}
+
+// Current page of instances for the table's search/filter/page settings
+function fetchInstances() {
+  const { page, q, status } = appState.instanceQuery;
+  const params = new URLSearchParams({ page, limit: CONFIG.instancePageSize, sort: 'lastActive', order: 'desc' });
+  if (q) params.set('q', q);
+  if (status) params.set('status', status);
+  return fetchJson(`/api/instances?${params}`);
+}
+
+// Download an export; instances and sessions follow the instance table's filters
+function exportData(entity, format) {
+  const params = new URLSearchParams({ format });
+  if (entity === 'instances' || entity === 'sessions') {
+    const { q, status } = appState.instanceQuery;
+    if (q) params.set('q', q);
+    if (status) params.set('status', status);
+  }
+  params.set('project', appState.project);
+  window.location.href = `/api/export/${entity}?${params}`;
+}
+
+// Fill the project switcher; falls back to the first project if the saved
+// one is gone or not accessible. Switching reloads the dashboard.
+async function loadProjects() {
+  const select = document.getElementById('projectSelect');
+  try {
+    const { projects } = await fetchJson('/api/projects');
+    if (projects.length && !projects.some(project => project.id === appState.project)) {
+      appState.project = projects[0].id;
+    }
+    select.innerHTML = projects
+      .map(project => `<option value="${escapeHtml(project.id)}">${escapeHtml(project.name)}</option>`)
+      .join('');
+    select.value = appState.project;
+  } catch (e) {
+    console.error('Projects load failed:', e);
+  }
+  select.hidden = select.options.length < 2;
+
+  select.addEventListener('change', () => {
+    localStorage.setItem(CONFIG.projectStorageKey, select.value);
+    window.location.reload();
+  });
+}
+
+async function refreshInstances() {
+  try {
+    const instances = await fetchInstances();
+    if (appState.latest) appState.latest.instances = instances;
+    updateInstanceTable(instances);
+  } catch (e) {
+    console.warn('Instances load failed:', e);
+  }
 }
 
 // Initialize charts
@@ -134,18 +260,43 @@ async function fetchData() {
     
     const [stats, instances, health] = await Promise.all([
       fetchJson('/api/stats').catch(e => ({ error: 'Stats load failed' })),
-      fetchJson('/api/instances').catch(e => ({ error: 'Instances load failed' })),
+      fetchInstances().catch(e => ({ error: 'Instances load failed' })),
       fetchJson('/api/connection-health').catch(e => ({ error: 'Health check failed' }))
     ]);
 
     // Load errors separately to prevent complete failure
     let errors = [];
     try {
-      errors = await fetchJson('/api/errors');
+      errors = (await fetchJson('/api/errors')).events || [];
     } catch (e) {
       console.warn('Error loading failed:', e);
     }
 
+    const series = await fetchTimeseries().catch(e => {
+      console.warn('Timeseries loading failed:', e);
+      return null;
+    });
+
+    const performance = await fetchJson('/api/performance').catch(e => {
+      console.warn('Performance loading failed:', e);
+      return null;
+    });
+
+    const resourceUsage = await fetchJson(`/api/resources?from=${Date.now() - 60 * 60 * 1000}`).catch(e => {
+      console.warn('Resource usage loading failed:', e);
+      return null;
+    });
+
+    const groups = await fetchJson('/api/groups?sort=messages&order=desc&limit=10').catch(e => {
+      console.warn('Groups loading failed:', e);
+      return null;
+    });
+
+    const cohorts = await fetchJson('/api/cohorts?period=week&periods=8').catch(e => {
+      console.warn('Cohorts loading failed:', e);
+      return null;
+    });
+
     // Update connection status
     if (health && health.healthStatus) {
       elements.connectionStatus.textContent = health.healthStatus === 'healthy' 
@@ -161,11 +312,18 @@ async function fetchData() {
 
     // Process stats if available
     if (stats && !stats.error) {
+      appState.latest = { stats, instances, health, errors };
       updateStats(stats, health);
-      updateCharts(stats, health);
+      updateCharts(stats, health, series, performance, resourceUsage);
       updateInstanceTable(instances);
       updateErrorTable(errors);
     }
+    if (groups) {
+      updateGroupTable(groups);
+    }
+    if (cohorts) {
+      updateCohortTable(cohorts);
+    }
 
   } catch (error) {
     console.error('Fatal fetch error:', error);
@@ -174,6 +332,95 @@ async function fetchData() {
   }
 }
 
+function setRefreshInterval(ms) {
+  clearInterval(appState.refreshTimer);
+  appState.refreshTimer = setInterval(fetchData, ms);
+}
+
+// Live updates over /api/stream; falls back to polling while the stream is down
+function startStream() {
+  if (!window.EventSource) return;
+
+  const source = new EventSource(withProject('/api/stream'));
+  appState.stream = source;
+
+  source.addEventListener('open', () => {
+    setRefreshInterval(CONFIG.streamRefreshInterval);
+  });
+
+  source.addEventListener('error', () => {
+    setRefreshInterval(CONFIG.refreshInterval);
+    // The browser retries on its own unless the server refused the stream
+    if (source.readyState === EventSource.CLOSED) {
+      appState.stream = null;
+      setTimeout(startStream, CONFIG.streamRetryDelay);
+    }
+  });
+
+  source.addEventListener('snapshot', (event) => {
+    const { stats } = JSON.parse(event.data);
+    applyStatsDelta(stats);
+    // The snapshot lists every instance; the table shows one filtered page
+    refreshInstances();
+  });
+
+  source.addEventListener('stats', (event) => applyStatsDelta(JSON.parse(event.data)));
+  source.addEventListener('instance', (event) => applyInstanceChange(JSON.parse(event.data)));
+  source.addEventListener('new_error', (event) => applyNewError(JSON.parse(event.data)));
+}
+
+// Merge streamed counters into the last /api/stats response
+function applyStatsDelta(delta) {
+  if (!appState.latest) return;
+  const { stats, health } = appState.latest;
+  const nested = ['totalConnections', 'totalMessages', 'disconnections', 'reconnections', 'heartbeats'];
+
+  const next = { ...stats, statistics: { ...stats.statistics } };
+  Object.entries(delta).forEach(([key, value]) => {
+    if (nested.includes(key)) {
+      next.statistics[key] = value;
+    } else {
+      next[key] = value;
+    }
+  });
+
+  appState.latest.stats = next;
+  updateStats(next, health);
+}
+
+// Updates to rows on the current page are applied in place; anything that can
+// change which instances are on the page refetches it
+function applyInstanceChange({ change, instance }) {
+  if (!appState.latest || !appState.latest.instances?.instances) return;
+  const list = appState.latest.instances.instances;
+  const index = list.findIndex(i => i.id === instance.id);
+
+  if (change === 'updated' && index !== -1 && !appState.instanceQuery.status) {
+    const next = [...list];
+    next[index] = instance;
+    appState.latest.instances = { ...appState.latest.instances, instances: next };
+    updateInstanceTable(appState.latest.instances);
+  } else {
+    refreshInstances();
+  }
+}
+
+function applyNewError(error) {
+  if (!appState.latest) return;
+  appState.latest.errors = [error, ...(appState.latest.errors || [])].slice(0, 50);
+  updateErrorTable(appState.latest.errors);
+}
+
+// Recent per-minute rates plus a week of hourly messages (heatmap), errors and disconnections (error timeline)
+async function fetchTimeseries() {
+  const now = Date.now();
+  const [recent, week] = await Promise.all([
+    fetchJson(`/api/timeseries?metric=messages,connections,disconnections&interval=minute&from=${now - 30 * 60 * 1000}&to=${now}`),
+    fetchJson(`/api/timeseries?metric=messages,errors,disconnections&interval=hour&from=${now - 7 * 24 * 60 * 60 * 1000}&to=${now}`)
+  ]);
+  return { recent: recent.series, week: week.series };
+}
+
 // Helper function to handle null/undefined values
 function safeNumber(value, fallback = 0) {
   return isNaN(value) ? fallback : Number(value);
@@ -201,6 +448,10 @@ function updateStats(stats, health) {
   elements.errorRateValue.textContent = errorRate;
   elements.avgUptime.textContent = formattedUptime;
   elements.dataVersion.textContent = stats?.settings?.version || '2.0.0';
+  elements.dau.textContent = safeNumber(stats?.engagement?.dau);
+  elements.wau.textContent = safeNumber(stats?.engagement?.wau);
+  elements.mau.textContent = safeNumber(stats?.engagement?.mau);
+  elements.stickiness.textContent = safeNumber(stats?.engagement?.stickiness).toFixed(1);
   elements.lastUpdate.textContent = new Date().toLocaleTimeString();
   
   // Calculate trends if we have previous data
@@ -253,12 +504,18 @@ function updateTrend(type, current, previous) {
 }
 
 // Update charts
-function updateCharts(stats, health) {
-  // Activity chart (line)
+function updateCharts(stats, health, series, performance, resourceUsage) {
+  const recent = series?.recent || { messages: [], connections: [], disconnections: [] };
+  const week = series?.week || { messages: [], errors: [], disconnections: [] };
+
+  // Activity chart (line): distinct active users per day, week and month
+  const engagementHistory = stats.engagement?.history || [];
   charts.activity.setOption({
+    tooltip: { trigger: 'axis' },
+    legend: { data: ['DAU', 'WAU', 'MAU'], textStyle: { color: '#0ff' } },
     xAxis: {
       type: 'category',
-      data: Object.keys(stats.statistics.dailyActive),
+      data: engagementHistory.map(d => d.date),
       axisLabel: { color: '#0ff' }
     },
     yAxis: {
@@ -266,7 +523,8 @@ function updateCharts(stats, health) {
       axisLabel: { color: '#0ff' }
     },
     series: [{
-      data: Object.values(stats.statistics.dailyActive),
+      name: 'DAU',
+      data: engagementHistory.map(d => d.dau),
       type: 'line',
       smooth: true,
       lineStyle: { color: '#0ff', width: 3 },
@@ -276,6 +534,20 @@ function updateCharts(stats, health) {
       itemStyle: {
         color: '#0ff'
       }
+    }, {
+      name: 'WAU',
+      data: engagementHistory.map(d => d.wau),
+      type: 'line',
+      smooth: true,
+      lineStyle: { color: '#f0f', width: 2 },
+      itemStyle: { color: '#f0f' }
+    }, {
+      name: 'MAU',
+      data: engagementHistory.map(d => d.mau),
+      type: 'line',
+      smooth: true,
+      lineStyle: { color: '#ff0', width: 2 },
+      itemStyle: { color: '#ff0' }
     }]
   });
   
@@ -329,25 +601,31 @@ function updateCharts(stats, health) {
     }]
   });
   
-  // Health chart (gauge)
+  // Health chart (gauges): active instances, fleet CPU and memory from system-info reports
+  const fleet = resourceUsage?.fleet?.latest || {};
+  const healthGauges = [
+    { name: 'ACTIVE', value: calculateActivePercent(stats), center: '17%' },
+    { name: 'CPU', value: fleet.cpu, center: '50%' },
+    { name: 'MEMORY', value: fleet.memoryPercent, center: '83%' }
+  ];
   charts.health.setOption({
-    series: [{
+    series: healthGauges.map(gauge => ({
       type: 'gauge',
-      center: ['50%', '60%'],
+      name: gauge.name,
+      center: [gauge.center, '60%'],
       startAngle: 180,
       endAngle: 0,
       min: 0,
       max: 100,
-      splitNumber: 10,
-      radius: '100%',
+      splitNumber: 5,
+      radius: '45%',
       axisLine: {
         lineStyle: {
-          width: 30,
-          color: [
-            [0.3, '#f00'],
-            [0.7, '#ff0'],
-            [1, '#0f0']
-          ]
+          width: 10,
+          // Green is good for the active share, bad for resource usage
+          color: gauge.name === 'ACTIVE'
+            ? [[0.3, '#f00'], [0.7, '#ff0'], [1, '#0f0']]
+            : [[0.7, '#0f0'], [0.9, '#ff0'], [1, '#f00']]
         }
       },
       pointer: {
@@ -355,39 +633,36 @@ function updateCharts(stats, health) {
           color: '#0ff'
         },
         length: '60%',
-        width: 8
-      },
-      axisTick: {
-        distance: -30,
-        length: 8,
-        lineStyle: {
-          color: '#fff',
-          width: 2
-        }
+        width: 4
       },
+      axisTick: { show: false },
       splitLine: {
-        distance: -30,
-        length: 30,
+        distance: -10,
+        length: 10,
         lineStyle: {
           color: '#fff',
-          width: 4
+          width: 2
         }
       },
-      axisLabel: {
-        color: '#fff',
-        distance: 25,
-        fontSize: 14
+      axisLabel: { show: false },
+      title: {
+        offsetCenter: [0, '30%'],
+        color: '#0ff',
+        fontSize: 12
       },
       detail: {
         valueAnimation: true,
-        formatter: '{value}%',
+        // No reports yet shows as a dash rather than 0%
+        formatter: value => (gauge.value == null ? '-' : `${Math.round(value)}%`),
         color: '#0ff',
-        fontSize: 20
+        fontSize: 14,
+        offsetCenter: [0, '-10%']
       },
       data: [{
-        value: calculateActivePercent(stats)
+        name: gauge.name,
+        value: gauge.value == null ? 0 : gauge.value
       }]
-    }]
+    }))
   });
   
   // Error chart (line)
@@ -415,64 +690,57 @@ function updateCharts(stats, health) {
     }]
   });
 
-  // Connection Speed (radar)
+  // Connections / disconnections per minute (last 30 min)
   charts.connectionSpeed.setOption({
-    radar: {
-      indicator: [
-        { name: 'API', max: 100 },
-        { name: 'DB', max: 100 },
-        { name: 'Cache', max: 100 },
-        { name: 'Network', max: 100 },
-        { name: 'WS', max: 100 }
-      ],
-      shape: 'circle',
-      splitNumber: 5,
-      axisName: {
-        color: '#0ff'
-      },
-      splitLine: {
-        lineStyle: {
-          color: 'rgba(0, 255, 255, 0.3)'
-        }
-      },
-      splitArea: {
-        show: false
+    tooltip: {
+      trigger: 'axis'
+    },
+    legend: {
+      data: ['Connects', 'Disconnects'],
+      textStyle: { color: '#0ff' }
+    },
+    xAxis: {
+      type: 'category',
+      data: recent.connections.map(d => moment(d.timestamp).format('HH:mm')),
+      axisLabel: { color: '#0ff' }
+    },
+    yAxis: {
+      type: 'value',
+      minInterval: 1,
+      axisLabel: { color: '#0ff' }
+    },
+    series: [
+      {
+        name: 'Connects',
+        type: 'line',
+        smooth: true,
+        showSymbol: false,
+        data: recent.connections.map(d => d.value),
+        lineStyle: { color: '#0f0', width: 2 },
+        itemStyle: { color: '#0f0' }
       },
-      axisLine: {
-        lineStyle: {
-          color: 'rgba(0, 255, 255, 0.3)'
-        }
+      {
+        name: 'Disconnects',
+        type: 'line',
+        smooth: true,
+        showSymbol: false,
+        data: recent.disconnections.map(d => d.value),
+        lineStyle: { color: '#f00', width: 2 },
+        itemStyle: { color: '#f00' }
       }
-    },
-    series: [{
-      type: 'radar',
-      data: [{
-        value: [
-          Math.random() * 80 + 20,
-          Math.random() * 80 + 20,
-          Math.random() * 90 + 10,
-          Math.random() * 85 + 15,
-          Math.random() * 75 + 25
-        ],
-        name: 'Speed',
-        areaStyle: {
-          color: 'rgba(0, 255, 255, 0.4)'
-        },
-        lineStyle: {
-          color: '#0ff',
-          width: 2
-        },
-        symbol: 'none'
-      }]
-    }]
+    ]
   });
 
-  // Response Time (line)
-  const responseTimes = Array(12).fill(0).map((_, i) => ({
-    time: `${i*5}m`,
-    value: Math.max(50, Math.random() * 200)
+  // Response Time (line) - per-minute p50/p95 from the server's request timings
+  const responseTimes = (performance?.history || []).map(d => ({
+    time: moment(d.timestamp).format('HH:mm'),
+    value: d.p50,
+    p95: d.p95
   }));
   charts.responseTime.setOption({
+    tooltip: {
+      trigger: 'axis'
+    },
     xAxis: {
       type: 'category',
       data: responseTimes.map(d => d.time),
@@ -481,13 +749,21 @@ function updateCharts(stats, health) {
     yAxis: {
       type: 'value',
       min: 0,
-      max: 300,
       axisLabel: { 
         color: '#0ff',
         formatter: '{value}ms'
       }
     },
     series: [{
+      name: 'p95',
+      data: responseTimes.map(d => d.p95),
+      type: 'line',
+      smooth: true,
+      showSymbol: false,
+      lineStyle: { color: '#f0f', width: 1, type: 'dashed' },
+      itemStyle: { color: '#f0f' }
+    }, {
+      name: 'p50',
       data: responseTimes.map(d => d.value),
       type: 'line',
       smooth: true,
@@ -516,9 +792,9 @@ function updateCharts(stats, health) {
   });
 
   // Message Rate (bar)
-  const messageRates = Array(30).fill(0).map((_, i) => ({
-    time: `${i}m`,
-    value: Math.floor(Math.random() * 1000) + 200
+  const messageRates = recent.messages.map(d => ({
+    time: moment(d.timestamp).format('HH:mm'),
+    value: d.value
   }));
   charts.messageRate.setOption({
     xAxis: {
@@ -550,17 +826,21 @@ function updateCharts(stats, health) {
     }]
   });
 
-  // User Heatmap (calendar)
+  // User Heatmap (messages per local weekday/hour over the last 7 days)
   const hours = Array(24).fill(0).map((_, i) => i);
   const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const heatmapCounts = days.map(() => hours.map(() => 0));
+  week.messages.forEach(d => {
+    const date = new Date(d.timestamp);
+    heatmapCounts[(date.getDay() + 6) % 7][date.getHours()] += d.value;
+  });
   const heatmapData = [];
   days.forEach((day, i) => {
     hours.forEach(hour => {
-      heatmapData.push([
-        hour, i, Math.floor(Math.random() * 1000)
-      ]);
+      heatmapData.push([hour, i, heatmapCounts[i][hour]]);
     });
   });
+  const heatmapMax = Math.max(1, ...heatmapData.map(d => d[2]));
   charts.userHeatmap.setOption({
     tooltip: {
       position: 'top'
@@ -585,7 +865,7 @@ function updateCharts(stats, health) {
     },
     visualMap: {
       min: 0,
-      max: 1000,
+      max: heatmapMax,
       calculable: true,
       orient: 'horizontal',
       left: 'center',
@@ -608,92 +888,70 @@ function updateCharts(stats, health) {
     }]
   });
 
-  // Error Timeline (line)
-  const errorTimeline = Array(24).fill(0).map((_, i) => ({
-    hour: i,
-    critical: Math.floor(Math.random() * 10),
-    warning: Math.floor(Math.random() * 20),
-    info: Math.floor(Math.random() * 50)
-  }));
+  // Error Timeline (line): reported errors and disconnections per hour over the last 24 hours
+  const errorHours = week.errors.slice(-24);
+  const disconnectHours = week.disconnections.slice(-24);
+  const areaStyle = (rgb) => ({
+    color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
+      { offset: 0, color: `rgba(${rgb}, 0.6)` },
+      { offset: 1, color: `rgba(${rgb}, 0.1)` }
+    ])
+  });
   charts.errorTimeline.setOption({
     tooltip: {
       trigger: 'axis',
       axisPointer: { type: 'shadow' }
     },
     legend: {
-      data: ['Critical', 'Warning', 'Info'],
+      data: ['Errors', 'Disconnections'],
       textStyle: { color: '#0ff' }
     },
     xAxis: {
       type: 'category',
-      data: errorTimeline.map(d => `${d.hour}h`),
+      data: errorHours.map(d => moment(d.timestamp).format('HH:00')),
       axisLabel: { color: '#0ff' }
     },
     yAxis: {
       type: 'value',
+      minInterval: 1,
       axisLabel: { color: '#0ff' }
     },
     series: [
       {
-        name: 'Critical',
-        type: 'line',
-        stack: 'total',
-        smooth: true,
-        lineStyle: { width: 0 },
-        showSymbol: false,
-        areaStyle: {
-          color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
-            { offset: 0, color: 'rgba(255, 0, 0, 0.6)' },
-            { offset: 1, color: 'rgba(255, 0, 0, 0.1)' }
-          ])
-        },
-        emphasis: { focus: 'series' },
-        data: errorTimeline.map(d => d.critical)
-      },
-      {
-        name: 'Warning',
+        name: 'Errors',
         type: 'line',
-        stack: 'total',
         smooth: true,
         lineStyle: { width: 0 },
         showSymbol: false,
-        areaStyle: {
-          color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
-            { offset: 0, color: 'rgba(255, 255, 0, 0.6)' },
-            { offset: 1, color: 'rgba(255, 255, 0, 0.1)' }
-          ])
-        },
+        areaStyle: areaStyle('255, 0, 0'),
         emphasis: { focus: 'series' },
-        data: errorTimeline.map(d => d.warning)
+        data: errorHours.map(d => d.value)
       },
       {
-        name: 'Info',
+        name: 'Disconnections',
         type: 'line',
-        stack: 'total',
         smooth: true,
         lineStyle: { width: 0 },
         showSymbol: false,
-        areaStyle: {
-          color: new echarts.graphic.LinearGradient(0, 0, 0, 1, [
-            { offset: 0, color: 'rgba(0, 255, 255, 0.6)' },
-            { offset: 1, color: 'rgba(0, 255, 255, 0.1)' }
-          ])
-        },
+        areaStyle: areaStyle('255, 255, 0'),
         emphasis: { focus: 'series' },
-        data: errorTimeline.map(d => d.info)
+        data: disconnectHours.map(d => d.value)
       }
     ]
   });
 
-  // Instance Load (scatter)
-  const instanceLoad = Array(20).fill(0).map((_, i) => ({
-    name: `Instance ${i}`,
-    value: [
-      Math.random() * 100, // CPU
-      Math.random() * 100, // Memory
-      Math.random() * 1000 // Connections
-    ]
-  }));
+  // Instance Load (scatter): latest CPU and memory per instance, sized by connection count
+  const instanceLoad = (resourceUsage?.instances || [])
+    .filter(instance => instance.latest.cpu !== null || instance.latest.memoryUsed !== null)
+    .map(instance => ({
+      name: instance.instanceId,
+      value: [
+        instance.latest.cpu || 0,
+        (instance.latest.memoryUsed || 0) / (1024 * 1024),
+        instance.connectionCount
+      ]
+    }));
+  const maxConnections = Math.max(1, ...instanceLoad.map(d => d.value[2]));
   charts.instanceLoad.setOption({
     grid: {
       left: '10%',
@@ -711,20 +969,22 @@ function updateCharts(stats, health) {
       nameTextStyle: { color: '#0ff' }
     },
     yAxis: {
-      name: 'Memory %',
+      name: 'Memory MB',
       nameLocation: 'middle',
-      nameGap: 25,
+      nameGap: 35,
       type: 'value',
       min: 0,
-      max: 100,
       axisLabel: { color: '#0ff' },
       nameTextStyle: { color: '#0ff' }
     },
+    tooltip: {
+      formatter: (p) => `${p.name}<br/>CPU ${p.value[0].toFixed(1)}%<br/>Memory ${p.value[1].toFixed(0)} MB<br/>Connections ${p.value[2]}`
+    },
     visualMap: {
       show: false,
       dimension: 2,
       min: 0,
-      max: 1000,
+      max: maxConnections,
       inRange: {
         color: ['#00a', '#00f', '#0af', '#0ff']
       }
@@ -732,7 +992,7 @@ function updateCharts(stats, health) {
     series: [{
       type: 'scatter',
       symbolSize: function (data) {
-        return Math.sqrt(data[2]) * 2;
+        return 8 + Math.sqrt(data[2] / maxConnections) * 20;
       },
       data: instanceLoad,
       itemStyle: {
@@ -744,12 +1004,31 @@ function updateCharts(stats, health) {
   });
 
   // Update performance metrics
-  document.getElementById('avgResponse').textContent = Math.floor(responseTimes.reduce((a, b) => a + b.value, 0) / responseTimes.length);
-  document.getElementById('peakLoad').textContent = Math.max(...messageRates.map(d => d.value));
-  document.getElementById('msgPerMin').textContent = Math.floor(messageRates.reduce((a, b) => a + b.value, 0) / messageRates.length);
-  document.getElementById('dataThroughput').textContent = (Math.random() * 10 + 5).toFixed(1);
-  document.getElementById('cacheHitRate').textContent = Math.floor(Math.random() * 30 + 70);
-  document.getElementById('dbQueries').textContent = Math.floor(Math.random() * 500 + 500);
+  document.getElementById('avgResponse').textContent = performance
+    ? performance.overall.avg.toFixed(1)
+    : '-';
+  document.getElementById('peakLoad').textContent = Math.max(0, ...messageRates.map(d => d.value));
+  document.getElementById('msgPerMin').textContent = messageRates.length
+    ? Math.floor(messageRates.reduce((a, b) => a + b.value, 0) / messageRates.length)
+    : 0;
+
+  // Server-side request figures from /api/performance
+  if (!performance) {
+    elements.p95Response.textContent = '-';
+    elements.requestsPerMin.textContent = '-';
+    elements.serverErrorRate.textContent = '-';
+    return;
+  }
+  // The last history entry is the current, unfinished minute
+  const { history, overall } = performance;
+  const lastMinute = history.length > 1 ? history[history.length - 2] : history[0];
+  const requests = overall.count;
+  const serverErrors = Object.entries(overall.statusCodes)
+    .filter(([code]) => Number(code) >= 500)
+    .reduce((total, [, count]) => total + count, 0);
+  elements.p95Response.textContent = performance.overall.p95.toFixed(1);
+  elements.requestsPerMin.textContent = lastMinute ? lastMinute.count : 0;
+  elements.serverErrorRate.textContent = requests ? ((serverErrors / requests) * 100).toFixed(2) : '0.00';
 }
 
 function updateChartDataHistory(stats, health) {
@@ -776,18 +1055,24 @@ function updateInstanceTable(instances) {
   tbody.innerHTML = '';
   
   const now = Date.now();
-  const sortedInstances = instances.instances
-    .sort((a, b) => b.lastActive - a.lastActive);
-  
-  sortedInstances.forEach(instance => {
+  if (!instances.instances) return;
+
+  // Rows come sorted and paged by the server
+  const { page, pages, matched } = instances.pagination;
+  appState.instancePages = pages;
+  elements.instancePage.textContent = `${page} / ${pages} (${matched})`;
+  elements.instancePrev.disabled = page <= 1;
+  elements.instanceNext.disabled = page >= pages;
+
+  instances.instances.forEach(instance => {
     const row = document.createElement('tr');
     
-    // Status indicator
+    // Status indicator; isActive is the server's verdict, the same one /api/stats counts
     let status = '🔴 Disconnected';
     let statusClass = 'error';
     
     if (instance.status === 'connected') {
-      if ((now - instance.lastActive) < CONFIG.timeouts.concurrent) {
+      if (instance.isActive) {
         status = '🟢 Active';
         statusClass = 'success';
       } else {
@@ -808,9 +1093,15 @@ function updateInstanceTable(instances) {
       instance.userAgent.substring(0, 17) + '...' : 
       instance.userAgent || 'Unknown';
     
+    // Admins get userId and can open the user's detail view
+    if (instance.userId) {
+      row.classList.add('clickable');
+      row.addEventListener('click', () => showUserDetail(instance.userId));
+    }
+
     row.innerHTML = `
-      <td>${instance.id.substring(0, 8)}...</td>
-      <td>${userAgent}</td>
+      <td title="${escapeHtml(instance.id)}">${escapeHtml(instance.id.substring(0, 8))}...</td>
+      <td title="${escapeHtml(instance.userAgent)}">${escapeHtml(userAgent)}</td>
       <td>${lastActiveStr}</td>
       <td>${uptime}</td>
       <td class="${statusClass}">${status}</td>
@@ -820,6 +1111,57 @@ function updateInstanceTable(instances) {
   });
 }
 
+// Load one user into the detail view
+async function showUserDetail(userId) {
+  elements.userLookupId.value = userId;
+  elements.userTimelineTable.innerHTML = '';
+
+  let detail;
+  try {
+    detail = await fetchJson(`/api/users/${encodeURIComponent(userId)}`);
+  } catch (e) {
+    const message = e.message.includes('403') ? 'Admins only' : e.message.includes('404') ? 'User not found' : 'Failed to load user';
+    elements.userDetail.innerHTML = `<div class="info-line">${message}</div>`;
+    return;
+  }
+
+  const { user, instances, timeline } = detail;
+  const breakdown = (counts) => Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => `${escapeHtml(key)}: ${count}`)
+    .join(', ') || '-';
+
+  elements.userDetail.innerHTML = `
+    <div class="info-line">User: <span>${escapeHtml(user.id)}</span> ${user.isActive ? '🟢 Active' : '⚪ Idle'}</div>
+    <div class="info-line">First Seen: <span>${new Date(user.firstSeen).toLocaleString()}</span></div>
+    <div class="info-line">Last Active: <span>${new Date(user.lastActive).toLocaleString()}</span></div>
+    <div class="info-line">Messages: <span>${user.totalMessages}</span> — ${breakdown(user.messageTypes)}</div>
+    <div class="info-line">Reactions: <span>${user.totalReactions}</span> — ${breakdown(user.reactions)}</div>
+    <div class="info-line">Instances: <span>${instances.map(i => `${escapeHtml(i.id)} (${i.status})`).join(', ') || '-'}</span></div>
+  `;
+
+  // Newest first in the table
+  [...timeline].reverse().forEach(event => {
+    const row = document.createElement('tr');
+    const details = event.messageType || event.reaction || event.status || event.reason ||
+      (event.action ? `${event.action} ${event.groupId || ''}` : '') || event.userAgent || '';
+
+    row.innerHTML = `
+      <td>${new Date(event.timestamp).toLocaleString()}</td>
+      <td>${escapeHtml(event.type)}</td>
+      <td>${escapeHtml((event.instanceId || '').substring(0, 8))}</td>
+      <td>${escapeHtml(details)}</td>
+    `;
+    elements.userTimelineTable.appendChild(row);
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[c]);
+}
+
 // Update error table
 function updateErrorTable(errors) {
   const tbody = elements.errorsTable;
@@ -831,17 +1173,75 @@ function updateErrorTable(errors) {
     const row = document.createElement('tr');
     const time = new Date(error.timestamp).toLocaleTimeString();
     
+    const message = error.message || '';
+
+    // Type and message come from bots; never render them as markup
     row.innerHTML = `
-      <td>${error.instanceId?.substring(0, 8) || 'System'}</td>
-      <td>${error.errorType}</td>
-      <td>${error.error.substring(0, 50)}${error.error.length > 50 ? '...' : ''}</td>
-      <td>${time}</td>
+      <td>${escapeHtml(error.instanceId?.substring(0, 8) || 'System')}</td>
+      <td>${escapeHtml(error.errorType)}</td>
+      <td title="${escapeHtml(message)}">${escapeHtml(message.substring(0, 50))}${message.length > 50 ? '...' : ''}</td>
+      <td>${escapeHtml(time)}</td>
     `;
     
     tbody.appendChild(row);
   });
 }
 
+// Update groups table (busiest groups first)
+function updateGroupTable({ groups }) {
+  const tbody = elements.groupsTable;
+  tbody.innerHTML = '';
+
+  groups.forEach(group => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td title="${escapeHtml(group.id)}">${escapeHtml(group.id.length > 20 ? group.id.substring(0, 17) + '...' : group.id)}</td>
+      <td>${group.messages}</td>
+      <td>${group.joins}</td>
+      <td>${group.leaves}</td>
+      <td>${group.promotions}</td>
+      <td>${group.instanceCount}</td>
+      <td>${new Date(group.lastActive).toLocaleString()}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+// Update cohort retention table: one row per cohort, one column per week since
+function updateCohortTable({ cohorts }) {
+  const table = elements.cohortsTable;
+  const weeks = cohorts.length;
+
+  let header = '<tr><th>Cohort</th><th>Users</th>';
+  for (let week = 0; week < weeks; week++) {
+    header += `<th>W${week}</th>`;
+  }
+  table.tHead.innerHTML = header + '</tr>';
+
+  const tbody = table.tBodies[0];
+  tbody.innerHTML = '';
+
+  // Newest cohort first
+  [...cohorts].reverse().forEach(cohort => {
+    const row = document.createElement('tr');
+    let cells = `<td>${cohort.cohort}</td><td>${cohort.size}</td>`;
+
+    for (let week = 0; week < weeks; week++) {
+      const point = cohort.retention[week];
+      if (!point || !cohort.size) {
+        cells += '<td>-</td>';
+        continue;
+      }
+      // Shade by retention rate
+      const alpha = (point.rate / 100 * 0.6).toFixed(2);
+      cells += `<td style="background: rgba(0, 255, 255, ${alpha})" title="${point.active} users">${Math.round(point.rate)}%</td>`;
+    }
+
+    row.innerHTML = cells;
+    tbody.appendChild(row);
+  });
+}
+
 // Update uptime display
 function updateUptime() {
   const seconds = Math.floor((Date.now() - appState.startTime) / 1000);
@@ -858,14 +1258,31 @@ function handleResize() {
   Object.values(charts).forEach(chart => chart.resize());
 }
 
+// Scope an API path to the selected project
+function withProject(endpoint) {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  return `${endpoint}${separator}project=${encodeURIComponent(appState.project)}`;
+}
+
 // Helper function to fetch JSON
 async function fetchJson(endpoint) {
-  const response = await fetch(endpoint);
+  const response = await fetch(withProject(endpoint), { credentials: 'same-origin' });
+  if (response.status === 401) {
+    // Session expired or missing - back to the login page
+    window.location.href = '/login.html';
+    throw new Error('Not authenticated');
+  }
   if (!response.ok) {
     throw new Error(`HTTP error! status: ${response.status}`);
   }
   return await response.json();
 }
 
+// End the dashboard session
+async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' }).catch(() => {});
+  window.location.href = '/login.html';
+}
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
@@ -6,7 +6,7 @@ const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const { body, validationResult } = require('express-validator');
 const app = express();
-const { PORT, TIMEOUTS, LOGGING } = require('../config');
+const { PORT, TIMEOUTS, LOGGING } = require('../api/config').loadConfig();
 
 const DB_PATH = path.join(__dirname, '../db/db.json');
 const DB_BACKUP_PATH = path.join(__dirname, '../db/backups');
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { recordGroupEvent } = require('../api/groups');
+
+const update = (db, action) => recordGroupEvent(db, { groupId: 'g1@g.us', eventType: 'group_update', action }, 1000);
+
+test('group_update actions are counted by category', () => {
+  const db = { groups: {} };
+  update(db, 'add');
+  update(db, 'Promote');
+  const group = update(db, 'rename');
+
+  assert.strictEqual(group.joins, 1);
+  assert.strictEqual(group.promotions, 1);
+  assert.strictEqual(group.other, 1);
+  assert.deepStrictEqual(group.actions, { add: 1, Promote: 1, rename: 1 });
+});
+
+test('actions named like prototype properties count as other', () => {
+  const db = { groups: {} };
+  const group = update(db, 'Constructor');
+  update(db, 'toString');
+
+  assert.strictEqual(group.other, 2);
+  // No keys beyond the ones every group starts with
+  assert.deepStrictEqual(Object.keys(group), Object.keys(update({ groups: {} }, 'add')));
+});